@@ -0,0 +1,56 @@
+import { html, expect, fixture } from '@open-wc/testing';
+
+import { Trap } from '../exports/focus-hunter.js'
+
+setup(() => {
+  window.focusHunter?.dispose()
+})
+
+/**
+ * Creates a "data grid" with a lot of nodes, with every row in its own shadow root.
+ * @param {HTMLElement} container
+ * @param {number} rows
+ */
+function renderGrid(container, rows) {
+  for (let i = 0; i < rows; i++) {
+    const row = document.createElement("div")
+    const shadowRoot = row.attachShadow({ mode: "open" })
+    shadowRoot.innerHTML = Array.from({ length: 10 }, (_, cell) => `<span>Cell ${cell}</span><button>Edit</button>`).join("")
+    container.append(row)
+  }
+}
+
+test("Cached tabbable elements should not walk the DOM again on every Tab press", async () => {
+  const el = await fixture(html`<div></div>`)
+  renderGrid(el, 200)
+
+  // `filter` is called for every tabbable element the walk finds, so it counts walks without timing anything.
+  let filterCalls = 0
+  const trap = new Trap({
+    rootElement: el,
+    filter: () => {
+      filterCalls++
+      return true
+    }
+  })
+
+  trap.start()
+
+  // Fill the cache
+  const tabbableElements = [...trap.getTabbableElements()]
+  expect(tabbableElements.length).to.equal(2000)
+
+  filterCalls = 0
+
+  for (let i = 0; i < 20; i++) {
+    expect([...trap.getTabbableElements()]).to.deep.equal(tabbableElements)
+  }
+
+  expect(filterCalls).to.equal(0)
+
+  trap.invalidateTabbableElements()
+  expect([...trap.getTabbableElements()].length).to.equal(2000)
+  expect(filterCalls).to.equal(2000)
+
+  trap.stop()
+})
@@ -1,4 +1,5 @@
 import { Trap } from "../../exports/focus-hunter.js";
+import { registerShadowRoot } from "../../exports/shadow-roots.js";
 
 /**
  * @param {Parameters<typeof String["raw"]>} args
@@ -260,3 +261,63 @@ if (!window.customElements.get("tab-test-1")) {
     }
   )
 }
+
+if (!window.customElements.get("form-control-test")) {
+  window.customElements.define("form-control-test", class extends BaseElement {
+    static formAssociated = true
+
+    constructor () {
+      super()
+      this.internals = this.attachInternals()
+    }
+
+    render () {
+      return html`<button>Form Control</button>`
+    }
+  })
+}
+
+if (!window.customElements.get("delegates-focus-test")) {
+  window.customElements.define("delegates-focus-test", class extends HTMLElement {
+    constructor () {
+      super()
+
+      this.attachShadow({ mode: 'open', delegatesFocus: true })
+    }
+
+    connectedCallback () {
+      this.shadowRoot.innerHTML = `<span>Label</span><input id="delegated"><button>Clear</button>`
+    }
+  })
+}
+
+if (!window.customElements.get("tab-order-test")) {
+  window.customElements.define("tab-order-test", class extends BaseElement {
+    render () {
+      return html`
+        <button id="shadow-1" tabindex="2">Shadow tabindex 2</button>
+        <slot></slot>
+        <button id="shadow-2" tabindex="1">Shadow tabindex 1</button>
+        <button id="shadow-3">Shadow</button>
+      `
+    }
+  })
+}
+
+if (!window.customElements.get("closed-shadow-test")) {
+  window.customElements.define("closed-shadow-test", class extends HTMLElement {
+    constructor () {
+      super()
+
+      this.closedShadowRoot = this.attachShadow({ mode: 'closed' })
+
+      if (this.hasAttribute("registered")) {
+        registerShadowRoot(this, this.closedShadowRoot)
+      }
+    }
+
+    connectedCallback () {
+      this.closedShadowRoot.innerHTML = `<button>Closed 1</button><slot></slot><button>Closed 2</button>`
+    }
+  })
+}
@@ -0,0 +1,53 @@
+import { html, expect, fixture } from '@open-wc/testing';
+
+import { focusFirst, focusLast, focusNext, focusPrevious } from '../exports/focus-helpers.js'
+import { deepestActiveElement } from '../exports/active-elements.js'
+import "./fixtures/components.js"
+
+test("focusFirst and focusLast should focus the ends of the tab order, through shadow roots", async () => {
+  const el = await fixture(html`
+    <div>
+      <tab-order-test>
+        <button id="c" tabindex="1">C</button>
+        <button id="d">D</button>
+      </tab-order-test>
+      <button id="last">Last</button>
+    </div>
+  `)
+
+  const shadowRoot = el.querySelector("tab-order-test").shadowRoot
+
+  expect(focusFirst(el)).to.equal(shadowRoot.querySelector("#shadow-2"))
+  expect(deepestActiveElement()).to.equal(shadowRoot.querySelector("#shadow-2"))
+
+  expect(focusLast(el, { preventScroll: true })).to.equal(el.querySelector("#last"))
+  expect(deepestActiveElement()).to.equal(el.querySelector("#last"))
+
+  expect(focusFirst(await fixture(html`<div>Nothing tabbable</div>`))).to.equal(null)
+})
+
+test("focusNext and focusPrevious should only wrap when `wrap` is true", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="one">One</button>
+      <button id="two">Two</button>
+      <button id="three">Three</button>
+    </div>
+  `)
+
+  const [one, two, three] = el.querySelectorAll("button")
+
+  // Focus isn't in the root yet
+  expect(focusNext(el)).to.equal(one)
+  expect(focusNext(el)).to.equal(two)
+  expect(focusNext(el)).to.equal(three)
+
+  expect(focusNext(el)).to.equal(null)
+  expect(deepestActiveElement()).to.equal(three)
+
+  expect(focusNext(el, { wrap: true })).to.equal(one)
+
+  expect(focusPrevious(el)).to.equal(null)
+  expect(focusPrevious(el, { wrap: true })).to.equal(three)
+  expect(focusPrevious(el)).to.equal(two)
+})
@@ -0,0 +1,117 @@
+import { html, expect, fixture } from '@open-wc/testing';
+import { sendKeys } from '@web/test-runner-commands';
+
+import '../exports/focus-hunter-trap.js'
+import { deepestActiveElement } from '../exports/active-elements.js'
+
+setup(() => {
+  window.focusHunter?.dispose()
+})
+
+test("<focus-hunter-trap> should start and stop its trap with the `active` attribute", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="outside">Outside</button>
+      <focus-hunter-trap initial-focus="#second" return-focus prevent-scroll>
+        <button id="first">First</button>
+        <button id="second">Second</button>
+      </focus-hunter-trap>
+    </div>
+  `)
+
+  const outside = el.querySelector("#outside")
+  const trapEl = el.querySelector("focus-hunter-trap")
+  const events = []
+
+  for (const name of ["focus-trap-start", "focus-trap-end"]) {
+    trapEl.addEventListener(name, (event) => events.push([name, event.detail.reason]))
+  }
+
+  outside.focus()
+  trapEl.active = true
+
+  expect(trapEl.trap.isActive()).to.equal(true)
+  expect(trapEl.trap.preventScroll).to.equal(true)
+  expect(deepestActiveElement()).to.equal(el.querySelector("#second"))
+
+  trapEl.removeAttribute("active")
+
+  expect(window.focusHunter.trapStack.size).to.equal(0)
+  expect(deepestActiveElement()).to.equal(outside)
+  expect(events).to.deep.equal([["focus-trap-start", "api"], ["focus-trap-end", "api"]])
+})
+
+test("<focus-hunter-trap> should remove `active` when the trap stops itself or the start is canceled", async () => {
+  const trapEl = await fixture(html`
+    <focus-hunter-trap escape-deactivates initial-focus>
+      <button>Button</button>
+    </focus-hunter-trap>
+  `)
+
+  trapEl.active = true
+  await sendKeys({ press: "Escape" })
+
+  expect(trapEl.active).to.equal(false)
+  expect(trapEl.trap.isActive()).to.equal(false)
+
+  trapEl.addEventListener("focus-trap-start", (event) => event.preventDefault(), { once: true })
+  trapEl.active = true
+
+  expect(trapEl.active).to.equal(false)
+})
+
+test("<focus-hunter-trap> should stop its trap when disconnected, and restart it when reconnected", async () => {
+  const el = await fixture(html`
+    <div>
+      <focus-hunter-trap active>
+        <button>Button</button>
+      </focus-hunter-trap>
+    </div>
+  `)
+
+  const trapEl = el.querySelector("focus-hunter-trap")
+  let canceled = false
+
+  // Disconnecting can't be canceled
+  trapEl.addEventListener("focus-trap-end", (event) => {
+    event.preventDefault()
+    canceled = event.defaultPrevented
+  }, { once: true })
+
+  expect(window.focusHunter.trapStack.size).to.equal(1)
+
+  trapEl.remove()
+
+  expect(canceled).to.equal(false)
+  expect(window.focusHunter.trapStack.size).to.equal(0)
+  expect(trapEl.active).to.equal(true)
+
+  el.append(trapEl)
+
+  expect(window.focusHunter.trapStack.size).to.equal(1)
+})
+
+test("<focus-hunter-trap> should move focus in by default, and leave it with `initial-focus=\"false\"`", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="outside">Outside</button>
+      <focus-hunter-trap>
+        <button id="inside">Inside</button>
+      </focus-hunter-trap>
+    </div>
+  `)
+
+  const outside = el.querySelector("#outside")
+  const trapEl = el.querySelector("focus-hunter-trap")
+
+  outside.focus()
+  trapEl.active = true
+  expect(deepestActiveElement()).to.equal(el.querySelector("#inside"))
+
+  trapEl.active = false
+  trapEl.setAttribute("initial-focus", "false")
+
+  outside.focus()
+  trapEl.active = true
+  expect(deepestActiveElement()).to.equal(outside)
+})
@@ -1,7 +1,9 @@
-import { html, expect, fixture, aTimeout } from '@open-wc/testing';
+import { html, expect, fixture, aTimeout, waitUntil } from '@open-wc/testing';
 
 import { Trap } from '../exports/focus-hunter.js'
-import { activeElements, deepestActiveElement } from '../exports/active-elements.js';
+import { TrapStack } from '../exports/trap-stack.js'
+import { TrapManager } from '../exports/trap-manager.js'
+import { activeElements, deepestActiveElement, watchActiveElement } from '../exports/active-elements.js';
 import { sendKeys } from '@web/test-runner-commands';
 import "./fixtures/components.js"
 
@@ -28,11 +30,7 @@ function activeElementsArray() {
 }
 
 setup(() => {
-  if (!window.focusHunter) return
-
-  for (const trap of window.focusHunter.trapStack.values()) {
-    trap.stop()
-  }
+  window.focusHunter?.dispose()
 })
 
 test("Should not attempt to tab non-visible / non-focusable elements", async () => {
@@ -45,22 +43,15 @@ test("Should not attempt to tab non-visible / non-focusable elements", async ()
 
   new Trap({ rootElement: el }).start()
 
-  // Tabs should just go to the body.
+  // There's nothing tabbable, so focus goes to the fallback. That's the root element, which already has a tabindex.
   await sendKeys({ press: tabKey });
-  expect(deepestActiveElement()).to.equal(document.body)
+  expect(deepestActiveElement()).to.equal(el)
 
   await sendKeys({ press: tabKey });
-  expect(deepestActiveElement()).to.equal(document.body)
+  expect(deepestActiveElement()).to.equal(el)
 
   await holdShiftKey(async () => await sendKeys({ press: tabKey }))
-
-
-  if (deepestActiveElement() === document.body) {
-    expect(deepestActiveElement()).to.equal(document.body)
-  } else {
-    // In firefox, it jumps to `<html>`
-    expect(deepestActiveElement()).to.equal(document.documentElement)
-  }
+  expect(deepestActiveElement()).to.equal(el)
 })
 
 test("Should account for the initially focused element", async () => {
@@ -101,7 +92,7 @@ test("Should check the 'rootElementStack' and 'trapStack' prior to adding / remo
 
   const { trapStack, rootElementStack } = window.focusHunter
 
-  expect(trapStack).to.be.instanceof(Set)
+  expect(trapStack).to.be.instanceof(TrapStack)
   expect(rootElementStack).to.be.instanceof(Set)
 
   expect(trapStack.size).to.equal(0)
@@ -194,7 +185,7 @@ test("Activating multiple traps", async () => {
   trap1.start()
   trap2.start()
 
-  await sendKeys({ press: tabKey })
+  // Starting a trap moves focus into it.
   expect(deepestActiveElement()).to.equal(el2.querySelector("button"))
 
   await sendKeys({ press: tabKey })
@@ -376,3 +367,952 @@ test('Should adjust current focus based on external focus events', async () => {
   expect(activeElementsArray()).to.include(focusFour);
   expect(deepestActiveElement()).to.equal(focusFour)
 })
+
+test("Should return focus to the previously focused element when `returnFocus` is true", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="opener">Opener</button>
+      <div id="trap">
+        <button>Button</button>
+      </div>
+    </div>
+  `)
+
+  const opener = el.querySelector("#opener")
+  const trap = new Trap({ rootElement: el.querySelector("#trap"), returnFocus: true })
+
+  opener.focus()
+  trap.start()
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(el.querySelector("#trap button"))
+
+  trap.stop()
+  expect(deepestActiveElement()).to.equal(opener)
+})
+
+test("Should use `returnFocusFallback` when the `returnFocus` element is removed", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="opener">Opener</button>
+      <button id="fallback">Fallback</button>
+      <div id="trap">
+        <button>Button</button>
+      </div>
+    </div>
+  `)
+
+  const opener = el.querySelector("#opener")
+  const fallback = el.querySelector("#fallback")
+  const trap = new Trap({
+    rootElement: el.querySelector("#trap"),
+    returnFocus: true,
+    returnFocusFallback: () => fallback
+  })
+
+  opener.focus()
+  trap.start()
+  opener.remove()
+
+  trap.stop()
+  expect(deepestActiveElement()).to.equal(fallback)
+})
+
+test("Should move focus into the trap on start with `initialFocus`", async () => {
+  const el = await fixture(html`
+    <div>
+      <button>Button</button>
+      <div id="host"></div>
+      <button id="last">Last</button>
+    </div>
+  `)
+
+  const shadowRoot = el.querySelector("#host").attachShadow({ mode: "open" })
+  shadowRoot.innerHTML = `<button autofocus>Autofocus</button>`
+
+  const trap = new Trap({ rootElement: el, initialFocus: true })
+  trap.start()
+  expect(deepestActiveElement()).to.equal(shadowRoot.querySelector("button"))
+  trap.stop()
+
+  const selectorTrap = new Trap({ rootElement: el, initialFocus: "#last" })
+  selectorTrap.start()
+  expect(deepestActiveElement()).to.equal(el.querySelector("#last"))
+  selectorTrap.stop()
+
+  shadowRoot.querySelector("button").removeAttribute("autofocus")
+
+  const fallbackTrap = new Trap({ rootElement: el, initialFocus: () => null })
+  fallbackTrap.start()
+  expect(deepestActiveElement()).to.equal(el.querySelector("button"))
+  fallbackTrap.stop()
+
+  // Without the option, focus still moves in.
+  el.querySelector("#last").focus()
+  const defaultTrap = new Trap({ rootElement: el.querySelector("#host") })
+  defaultTrap.start()
+  expect(deepestActiveElement()).to.equal(shadowRoot.querySelector("button"))
+  defaultTrap.stop()
+
+  el.querySelector("#last").focus()
+  const optOutTrap = new Trap({ rootElement: el.querySelector("#host"), initialFocus: false })
+  optOutTrap.start()
+  expect(deepestActiveElement()).to.equal(el.querySelector("#last"))
+})
+
+test("Should stop the trap on Escape when `escapeDeactivates` is true", async () => {
+  const el = await fixture(html`
+    <div>
+      <button>Button</button>
+    </div>
+  `)
+
+  const trap = new Trap({ rootElement: el, escapeDeactivates: true })
+
+  el.querySelector("button").focus()
+  trap.start()
+  expect(trap.isActive()).to.equal(true)
+
+  await sendKeys({ press: "Escape" })
+  expect(trap.isActive()).to.equal(false)
+})
+
+test("Should not stop the trap on Escape that was already handled inside of it", async () => {
+  const el = await fixture(html`
+    <div>
+      <input id="combobox" role="combobox" aria-expanded="true">
+    </div>
+  `)
+
+  const combobox = el.querySelector("#combobox")
+
+  // Like a combobox closing its listbox
+  combobox.addEventListener("keydown", (event) => {
+    if (event.key === "Escape" && combobox.getAttribute("aria-expanded") === "true") {
+      event.preventDefault()
+      combobox.setAttribute("aria-expanded", "false")
+    }
+  })
+
+  const trap = new Trap({ rootElement: el, escapeDeactivates: true })
+
+  trap.start()
+  expect(deepestActiveElement()).to.equal(combobox)
+
+  await sendKeys({ press: "Escape" })
+  expect(combobox.getAttribute("aria-expanded")).to.equal("false")
+  expect(trap.isActive()).to.equal(true)
+
+  await sendKeys({ press: "Escape" })
+  expect(trap.isActive()).to.equal(false)
+})
+
+test("Should handle outside clicks with `clickOutsideDeactivates` and `allowOutsideClick`", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="outside">Outside</button>
+      <button id="allowed">Allowed</button>
+      <div id="trap">
+        <div id="host"></div>
+      </div>
+    </div>
+  `)
+
+  const shadowRoot = el.querySelector("#host").attachShadow({ mode: "open" })
+  shadowRoot.innerHTML = `<button>Inside</button>`
+
+  const allowed = el.querySelector("#allowed")
+  const trap = new Trap({
+    rootElement: el.querySelector("#trap"),
+    clickOutsideDeactivates: true,
+    allowOutsideClick: (event) => event.composedPath().includes(allowed)
+  })
+
+  const pointerdown = () => new PointerEvent("pointerdown", { bubbles: true, composed: true })
+
+  trap.start()
+
+  shadowRoot.querySelector("button").dispatchEvent(pointerdown())
+  expect(trap.isActive()).to.equal(true)
+
+  allowed.dispatchEvent(pointerdown())
+  expect(trap.isActive()).to.equal(true)
+
+  el.querySelector("#outside").dispatchEvent(pointerdown())
+  expect(trap.isActive()).to.equal(false)
+})
+
+test("Should dispatch cancelable, composed lifecycle events and call lifecycle callbacks", async () => {
+  const el = await fixture(html`<div></div>`)
+
+  const shadowRoot = el.attachShadow({ mode: "open" })
+  shadowRoot.innerHTML = `<div><button>Button</button></div>`
+  const rootElement = shadowRoot.querySelector("div")
+
+  const calls = []
+  const trap = new Trap({
+    rootElement,
+    onActivate: ({ reason }) => calls.push(`activate:${reason}`),
+    onPostActivate: ({ reason }) => calls.push(`postActivate:${reason}`),
+    onDeactivate: ({ reason }) => calls.push(`deactivate:${reason}`),
+    onPostDeactivate: ({ reason }) => calls.push(`postDeactivate:${reason}`),
+  })
+
+  /** @param {CustomEvent} event */
+  const veto = (event) => event.preventDefault()
+
+  // The host outside of the shadow root should hear the events.
+  el.addEventListener("focus-trap-start", veto, { once: true })
+  trap.start()
+  expect(trap.isActive()).to.equal(false)
+  expect(calls).to.deep.equal([])
+
+  let startEvent = null
+  el.addEventListener("focus-trap-start", (event) => { startEvent = event }, { once: true })
+  trap.start()
+  expect(trap.isActive()).to.equal(true)
+  expect(startEvent).to.be.instanceof(CustomEvent)
+  expect(startEvent.detail.trap).to.equal(trap)
+  expect(startEvent.detail.reason).to.equal("api")
+
+  el.addEventListener("focus-trap-end", veto, { once: true })
+  trap.stop()
+  expect(trap.isActive()).to.equal(true)
+
+  trap.stop()
+  expect(trap.isActive()).to.equal(false)
+  expect(calls).to.deep.equal(["activate:api", "postActivate:api", "deactivate:api", "postDeactivate:api"])
+})
+
+test("Should bubble lifecycle events to ancestors and the document", async () => {
+  const el = await fixture(html`
+    <div>
+      <div id="root"><button>Button</button></div>
+      <div id="nested"><button>Nested</button></div>
+    </div>
+  `)
+
+  const names = ["focus-trap-start", "focus-trap-pause", "focus-trap-unpause", "focus-trap-end"]
+  const ancestorEvents = []
+  const documentEvents = []
+
+  /** @param {Event} event */
+  const onDocument = (event) => documentEvents.push(event.type)
+
+  for (const name of names) {
+    el.addEventListener(name, (event) => ancestorEvents.push(`${event.type}:${event.target.id}`))
+    document.addEventListener(name, onDocument)
+  }
+
+  const trap = new Trap({ rootElement: el.querySelector("#root") })
+  const nestedTrap = new Trap({ rootElement: el.querySelector("#nested") })
+
+  trap.start()
+  nestedTrap.start()
+  nestedTrap.stop()
+  trap.stop()
+
+  for (const name of names) {
+    document.removeEventListener(name, onDocument)
+  }
+
+  expect(ancestorEvents).to.deep.equal([
+    "focus-trap-start:root",
+    "focus-trap-start:nested",
+    "focus-trap-pause:root",
+    "focus-trap-end:nested",
+    "focus-trap-unpause:root",
+    "focus-trap-end:root",
+  ])
+  expect(documentEvents.length).to.equal(6)
+})
+
+test("Should pause the trap underneath a new trap and unpause it when the new trap stops", async () => {
+  const el = await fixture(html`
+    <div>
+      <div id="parent">
+        <button>Parent 1</button>
+        <button>Parent 2</button>
+      </div>
+      <div id="child">
+        <button>Child</button>
+      </div>
+    </div>
+  `)
+
+  const calls = []
+  const parentButtons = el.querySelectorAll("#parent button")
+  const parent = new Trap({
+    rootElement: el.querySelector("#parent"),
+    onPause: ({ reason }) => calls.push(`pause:${reason}`),
+    onUnpause: ({ reason }) => calls.push(`unpause:${reason}`),
+  })
+  const child = new Trap({ rootElement: el.querySelector("#child"), initialFocus: true })
+
+  parentButtons[0].focus()
+  parent.start()
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(parentButtons[1])
+
+  child.start()
+  expect(parent.paused).to.equal(true)
+  expect(parent.isActive()).to.equal(false)
+  expect(child.isActive()).to.equal(true)
+  expect(deepestActiveElement()).to.equal(el.querySelector("#child button"))
+
+  child.stop()
+  expect(parent.paused).to.equal(false)
+  expect(parent.isActive()).to.equal(true)
+  expect(deepestActiveElement()).to.equal(parentButtons[1])
+  expect(calls).to.deep.equal(["pause:trap-stack", "unpause:trap-stack"])
+
+  parent.pause()
+  expect(parent.isActive()).to.equal(false)
+
+  parent.unpause()
+  expect(parent.isActive()).to.equal(true)
+})
+
+test("Should keep traps in a scoped TrapManager separate from the global manager", async () => {
+  const el = await fixture(html`
+    <div>
+      <div id="global">
+        <button>Global</button>
+      </div>
+      <div id="scoped">
+        <button>Scoped</button>
+      </div>
+    </div>
+  `)
+
+  const manager = new TrapManager()
+  const globalTrap = new Trap({ rootElement: el.querySelector("#global") })
+  const scopedTrap = new Trap({ rootElement: el.querySelector("#scoped"), manager })
+
+  expect(globalTrap.manager).to.equal(window.focusHunter)
+  expect(scopedTrap.manager).to.equal(manager)
+
+  globalTrap.start()
+  scopedTrap.start()
+
+  // Starting a trap in another manager doesn't pause the global trap.
+  expect(globalTrap.isActive()).to.equal(true)
+  expect(scopedTrap.isActive()).to.equal(true)
+  expect(window.focusHunter.trapStack.size).to.equal(1)
+  expect(manager.trapStack.size).to.equal(1)
+
+  const scopedEnd = (event) => event.preventDefault()
+  el.querySelector("#scoped").addEventListener("focus-trap-end", scopedEnd)
+
+  // Disposing can't be canceled.
+  manager.dispose()
+  expect(scopedTrap.isActive()).to.equal(false)
+  expect(manager.trapStack.size).to.equal(0)
+  expect(manager.rootElementStack.size).to.equal(0)
+  expect(globalTrap.isActive()).to.equal(true)
+})
+
+test("Should upgrade a `window.focusHunter` left by an older copy of focus-hunter", async () => {
+  const el = await fixture(html`<div><button>Button</button></div>`)
+
+  const legacyRootElementStack = new Set()
+  window.focusHunter = { trapStack: new Set(), rootElementStack: legacyRootElementStack }
+
+  const trap = new Trap({ rootElement: el })
+  trap.start()
+
+  expect(window.focusHunter).to.be.an.instanceof(TrapManager)
+  expect(window.focusHunter.rootElementStack).to.equal(legacyRootElementStack)
+  expect(trap.isActive()).to.equal(true)
+  expect(legacyRootElementStack.has(el)).to.equal(true)
+
+  window.focusHunter.dispose()
+  expect(legacyRootElementStack.size).to.equal(0)
+})
+
+test("Disposing a manager should stop traps from the top down and return focus to the outermost opener", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="opener">Open dialog</button>
+      <div id="dialog">
+        <button id="nested-opener">Open nested dialog</button>
+      </div>
+      <div id="nested">
+        <button>Nested</button>
+      </div>
+    </div>
+  `)
+
+  const manager = new TrapManager()
+  const dialogTrap = new Trap({ rootElement: el.querySelector("#dialog"), manager, returnFocus: true, initialFocus: true })
+  const nestedTrap = new Trap({ rootElement: el.querySelector("#nested"), manager, returnFocus: true, initialFocus: true })
+
+  const stopped = []
+  el.querySelector("#dialog").addEventListener("focus-trap-end", () => stopped.push("dialog"))
+  el.querySelector("#nested").addEventListener("focus-trap-end", () => stopped.push("nested"))
+
+  el.querySelector("#opener").focus()
+  dialogTrap.start()
+  expect(deepestActiveElement()).to.equal(el.querySelector("#nested-opener"))
+
+  nestedTrap.start()
+
+  manager.dispose()
+  await aTimeout(0)
+
+  expect(stopped).to.deep.equal(["nested", "dialog"])
+  expect(deepestActiveElement()).to.equal(el.querySelector("#opener"))
+})
+
+test("Should trap focus across multiple root elements in document order", async () => {
+  const el = await fixture(html`
+    <div>
+      <div id="body">
+        <button id="body-1">Body 1</button>
+        <button id="body-2">Body 2</button>
+      </div>
+      <button id="outside">Outside</button>
+      <div id="portal"></div>
+    </div>
+  `)
+
+  const portal = el.querySelector("#portal")
+  const shadowRoot = portal.attachShadow({ mode: "open" })
+  shadowRoot.innerHTML = `<div id="toolbar"><button>Toolbar</button></div>`
+  const toolbar = shadowRoot.querySelector("#toolbar")
+
+  // Out of order on purpose, the trap should sort them.
+  const trap = new Trap({
+    rootElement: () => [toolbar, el.querySelector("#body")],
+    clickOutsideDeactivates: true
+  })
+
+  el.querySelector("#body-1").focus()
+  trap.start()
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(el.querySelector("#body-2"))
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(toolbar.querySelector("button"))
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(el.querySelector("#body-1"))
+
+  await holdShiftKey(async () => await sendKeys({ press: tabKey }))
+  expect(deepestActiveElement()).to.equal(toolbar.querySelector("button"))
+
+  toolbar.querySelector("button").dispatchEvent(new PointerEvent("pointerdown", { bubbles: true, composed: true }))
+  expect(trap.isActive()).to.equal(true)
+
+  el.querySelector("#outside").dispatchEvent(new PointerEvent("pointerdown", { bubbles: true, composed: true }))
+  expect(trap.isActive()).to.equal(false)
+})
+
+test("Should not start without root elements, and should follow a replaced `rootElement`", async () => {
+  const el = await fixture(html`
+    <div>
+      <div id="first"><button>First</button></div>
+      <div id="second"><button>Second</button></div>
+    </div>
+  `)
+
+  /** @type {Element[]} */
+  let rootElements = []
+  const trap = new Trap({ rootElement: () => rootElements })
+
+  trap.start()
+  expect(trap.isActive()).to.equal(false)
+
+  trap.rootElement = []
+  trap.start()
+  expect(trap.isActive()).to.equal(false)
+
+  trap.rootElement = el.querySelector("#first")
+  expect(trap.rootElement).to.equal(el.querySelector("#first"))
+
+  trap.start()
+  expect(trap.isActive()).to.equal(true)
+  expect(window.focusHunter.rootElementStack.has(el.querySelector("#first"))).to.equal(true)
+
+  trap.stop()
+
+  trap.rootElement = [el.querySelector("#second")]
+  trap.start()
+  expect(window.focusHunter.rootElementStack.has(el.querySelector("#second"))).to.equal(true)
+
+  // The root elements disappearing while the trap runs shouldn't keep it from stopping.
+  rootElements = []
+  trap.rootElement = () => rootElements
+  trap.stop()
+  expect(trap.isActive()).to.equal(false)
+  expect(window.focusHunter.rootElementStack.has(el.querySelector("#second"))).to.equal(false)
+})
+
+test("Should hide elements outside of the active trap with `hideOthers` and restore them", async () => {
+  const el = await fixture(html`
+    <div>
+      <header id="header" aria-hidden="false">Header</header>
+      <main id="main" inert>Main</main>
+      <div id="host"></div>
+    </div>
+  `)
+
+  const shadowRoot = el.querySelector("#host").attachShadow({ mode: "open" })
+  shadowRoot.innerHTML = `
+    <div id="backdrop"></div>
+    <div id="parent"><button>Parent</button></div>
+    <div id="child"><button>Child</button></div>
+  `
+
+  const header = el.querySelector("#header")
+  const main = el.querySelector("#main")
+  const backdrop = shadowRoot.querySelector("#backdrop")
+  const parentRoot = shadowRoot.querySelector("#parent")
+  const childRoot = shadowRoot.querySelector("#child")
+
+  const parent = new Trap({ rootElement: parentRoot, hideOthers: true })
+  const child = new Trap({ rootElement: childRoot, hideOthers: true })
+
+  parent.start()
+  expect(header.inert).to.equal(true)
+  expect(main.inert).to.equal(true)
+  expect(backdrop.inert).to.equal(true)
+  expect(childRoot.inert).to.equal(true)
+  expect(parentRoot.inert).to.equal(false)
+  expect(el.inert).to.equal(false)
+
+  // Nested traps swap which container is hidden.
+  child.start()
+  expect(childRoot.inert).to.equal(false)
+  expect(parentRoot.inert).to.equal(true)
+
+  child.stop()
+  expect(childRoot.inert).to.equal(true)
+  expect(parentRoot.inert).to.equal(false)
+
+  parent.stop()
+  expect(header.inert).to.equal(false)
+  expect(header.getAttribute("aria-hidden")).to.equal("false")
+  expect(main.inert).to.equal(true)
+  expect(backdrop.inert).to.equal(false)
+  expect(childRoot.inert).to.equal(false)
+})
+
+test("Should lock scrolling with `lockScroll` until the last trap stops and restore inline styles", async () => {
+  const el = await fixture(html`
+    <div>
+      <div id="parent"><button>Parent</button></div>
+      <div id="child"><button>Child</button></div>
+    </div>
+  `)
+
+  const root = document.documentElement
+  root.style.setProperty("padding-right", "3px")
+  const previousStyle = root.getAttribute("style")
+
+  const parent = new Trap({ rootElement: el.querySelector("#parent"), lockScroll: true })
+  const child = new Trap({ rootElement: el.querySelector("#child"), lockScroll: true })
+
+  parent.start()
+  expect(root.style.overflow).to.equal("hidden")
+
+  child.start()
+  child.stop()
+
+  // The parent trap is still started, so the page stays locked.
+  expect(root.style.overflow).to.equal("hidden")
+
+  parent.stop()
+  expect(root.getAttribute("style")).to.equal(previousStyle)
+
+  root.style.removeProperty("padding-right")
+})
+
+test("Should restore `overflow-y` on its own, and skip the scrollbar padding with `scrollbar-gutter: stable`", async () => {
+  const el = await fixture(html`<div><button>Button</button></div>`)
+
+  const root = document.documentElement
+  root.style.setProperty("overflow-y", "scroll")
+  root.style.setProperty("scrollbar-gutter", "stable")
+  const previousStyle = root.getAttribute("style")
+
+  const trap = new Trap({ rootElement: el, lockScroll: true })
+
+  trap.start()
+  expect(root.style.overflowX).to.equal("hidden")
+  expect(root.style.overflowY).to.equal("hidden")
+  expect(root.style.paddingRight).to.equal("")
+
+  trap.stop()
+  expect(root.getAttribute("style")).to.equal(previousStyle)
+  expect(root.style.overflowX).to.equal("")
+  expect(root.style.overflowY).to.equal("scroll")
+
+  root.removeAttribute("style")
+})
+
+test("The tabbable elements cache should be reset when the DOM changes", async () => {
+  const el = await fixture(html`<div><button>Button</button><div id="host"></div></div>`)
+
+  const shadowRoot = el.querySelector("#host").attachShadow({ mode: "open" })
+  shadowRoot.innerHTML = `<slot></slot>`
+
+  const trap = new Trap({ rootElement: el })
+  trap.start()
+
+  expect([...trap.getTabbableElements()].length).to.equal(1)
+
+  // Nothing changed, so the same cached array is used again.
+  const cache = trap.tabbableElementsCache
+  expect(cache).to.not.equal(null)
+  expect([...trap.getTabbableElements()]).to.deep.equal(cache)
+  expect(trap.tabbableElementsCache).to.equal(cache)
+
+  // Inside of a shadow root
+  const shadowButton = document.createElement("button")
+  shadowRoot.append(shadowButton)
+  await aTimeout(0)
+  expect(trap.tabbableElementsCache).to.equal(null)
+  expect([...trap.getTabbableElements()]).to.include(shadowButton)
+
+  // Slotted content
+  const slottedButton = document.createElement("button")
+  el.querySelector("#host").append(slottedButton)
+  await aTimeout(0)
+  expect([...trap.getTabbableElements()]).to.include(slottedButton)
+
+  // Attribute changes
+  el.querySelector("button").setAttribute("disabled", "")
+  await aTimeout(0)
+  expect([...trap.getTabbableElements()]).to.not.include(el.querySelector("button"))
+
+  trap.stop()
+  expect(trap.tabbableElementsCache).to.equal(null)
+})
+
+test("Should pass tabbable rules from the Trap to getTabbableElements", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="first">First</button>
+      <my-combobox id="combobox">Combobox</my-combobox>
+      <button id="skipped" class="skip">Skipped</button>
+    </div>
+  `)
+
+  const trap = new Trap({
+    rootElement: el,
+    tabbableTags: ["my-combobox"],
+    filter: (tabbable) => !tabbable.classList.contains("skip"),
+    elementsWithTabbableControls: ["my-combobox"]
+  })
+
+  trap.start()
+
+  expect([...trap.getTabbableElements()]).to.deep.equal([el.querySelector("#first"), el.querySelector("#combobox")])
+  expect(trap.possiblyHasTabbableChildren(el.querySelector("#combobox"))).to.equal(true)
+})
+
+test("Should tab through closed shadow roots registered with registerShadowRoot()", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="first">First</button>
+      <closed-shadow-test registered>
+        <button id="slotted">Slotted</button>
+      </closed-shadow-test>
+      <closed-shadow-test>
+        <button id="unregistered">Not registered</button>
+      </closed-shadow-test>
+    </div>
+  `)
+
+  const registered = el.querySelector("closed-shadow-test[registered]")
+  const [closedOne, closedTwo] = registered.closedShadowRoot.querySelectorAll("button")
+
+  const trap = new Trap({ rootElement: el })
+
+  el.querySelector("#first").focus()
+  trap.start()
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(closedOne)
+  expect(activeElementsArray()).to.deep.equal([registered, closedOne])
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(el.querySelector("#slotted"))
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(closedTwo)
+
+  // Unregistered closed shadow roots are skipped, but their light DOM children are still found.
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(el.querySelector("#unregistered"))
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(el.querySelector("#first"))
+})
+
+test("Should tab into and back out of same-origin iframes with the `iframes` option", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="first">First</button>
+      <iframe srcdoc="<button id='inner-one'>Inner one</button><button id='inner-two'>Inner two</button>"></iframe>
+      <button id="last">Last</button>
+    </div>
+  `)
+
+  const iframe = el.querySelector("iframe")
+  await waitUntil(() => iframe.contentDocument?.querySelector("#inner-two"))
+
+  const innerOne = iframe.contentDocument.querySelector("#inner-one")
+  const innerTwo = iframe.contentDocument.querySelector("#inner-two")
+  const frameOptions = { iframes: true }
+
+  const trap = new Trap({ rootElement: el, iframes: true })
+
+  el.querySelector("#first").focus()
+  trap.start()
+
+  expect([...trap.getTabbableElements()]).to.deep.equal([el.querySelector("#first"), innerOne, innerTwo, el.querySelector("#last")])
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement(document.activeElement, frameOptions)).to.equal(innerOne)
+  expect([...activeElements(document.activeElement, frameOptions)]).to.deep.equal([iframe, innerOne])
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement(document.activeElement, frameOptions)).to.equal(innerTwo)
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement(document.activeElement, frameOptions)).to.equal(el.querySelector("#last"))
+
+  await holdShiftKey(async () => {
+    await sendKeys({ press: tabKey })
+    expect(deepestActiveElement(document.activeElement, frameOptions)).to.equal(innerTwo)
+  })
+
+  // Without the option, the iframe is the deepest element we can see.
+  expect(deepestActiveElement()).to.equal(iframe)
+
+  trap.stop()
+})
+
+test("watchActiveElement should report focus changes inside of shadow roots until unsubscribed", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="outside">Outside</button>
+      <div id="host"></div>
+    </div>
+  `)
+
+  const host = el.querySelector("#host")
+  const shadowRoot = host.attachShadow({ mode: "open" })
+  shadowRoot.innerHTML = `<button id="one">One</button><button id="two">Two</button>`
+
+  const outside = el.querySelector("#outside")
+  const one = shadowRoot.querySelector("#one")
+  const two = shadowRoot.querySelector("#two")
+
+  outside.focus()
+
+  const changes = []
+  const unwatch = watchActiveElement((change) => changes.push(change))
+
+  one.focus()
+  // `focusin` is retargeted to the host for both of these, but they're still reported.
+  two.focus()
+
+  expect(changes).to.deep.equal([
+    { path: [host, one], previous: outside, current: one },
+    { path: [host, two], previous: one, current: two },
+  ])
+
+  // Blurring sends focus to the body, which doesn't get a `focusin`.
+  two.blur()
+  await aTimeout(0)
+
+  expect(changes[2]).to.deep.equal({ path: [document.body], previous: two, current: document.body })
+
+  unwatch()
+  outside.focus()
+  expect(changes.length).to.equal(3)
+})
+
+test("watchActiveElement should report focus moving inside of same-origin iframes with `iframes`", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="outside">Outside</button>
+      <iframe srcdoc="<button id='inner-one'>Inner one</button><button id='inner-two'>Inner two</button>"></iframe>
+    </div>
+  `)
+
+  const iframe = el.querySelector("iframe")
+  await waitUntil(() => iframe.contentDocument?.querySelector("#inner-two"))
+
+  const outside = el.querySelector("#outside")
+  const innerOne = iframe.contentDocument.querySelector("#inner-one")
+  const innerTwo = iframe.contentDocument.querySelector("#inner-two")
+
+  outside.focus()
+
+  const changes = []
+  const unwatch = watchActiveElement((change) => changes.push(change), { iframes: true })
+
+  innerOne.focus()
+  // Our document doesn't hear about this one, the iframe is still its active element.
+  innerTwo.focus()
+
+  await waitUntil(() => changes.at(-1)?.current === innerTwo)
+
+  expect(changes.at(-1)).to.deep.equal({ path: [iframe, innerTwo], previous: innerOne, current: innerTwo })
+
+  const count = changes.length
+
+  unwatch()
+  innerOne.focus()
+  await aTimeout(0)
+  expect(changes.length).to.equal(count)
+})
+
+test("Soft traps should wrap Tab, let focus leave, and dispatch `focus-trap-blur`", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="outside">Outside</button>
+      <div id="trap">
+        <button id="first">First</button>
+        <button id="last">Last</button>
+      </div>
+    </div>
+  `)
+
+  const outside = el.querySelector("#outside")
+  const first = el.querySelector("#first")
+  const last = el.querySelector("#last")
+  const rootElement = el.querySelector("#trap")
+
+  const reasons = []
+  rootElement.addEventListener("focus-trap-blur", (event) => reasons.push(event.detail.reason))
+
+  let blurs = 0
+  const trap = new Trap({ rootElement, mode: "soft", onBlur: () => blurs++ })
+
+  trap.start()
+  last.focus()
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(first)
+
+  // Focus isn't pulled back
+  outside.focus()
+  expect(deepestActiveElement()).to.equal(outside)
+  expect(reasons).to.deep.equal(["focus-out"])
+  expect(blurs).to.equal(1)
+
+  // Tab works normally from outside of the trap
+  outside.focus()
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(first)
+
+  trap.stop()
+
+  const reenteringTrap = new Trap({ rootElement, mode: "soft", reenterOnTab: true })
+  reenteringTrap.start()
+  outside.focus()
+
+  await holdShiftKey(async () => {
+    await sendKeys({ press: tabKey })
+  })
+
+  expect(deepestActiveElement()).to.equal(last)
+  reenteringTrap.stop()
+})
+
+test("Empty traps should focus `fallbackFocus`, or the root element with a temporary tabindex", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="outside">Outside</button>
+      <div id="panel">
+        <button disabled>Save</button>
+        <div id="spinner" role="status">Loading...</div>
+      </div>
+    </div>
+  `)
+
+  const outside = el.querySelector("#outside")
+  const spinner = el.querySelector("#spinner")
+
+  const trap = new Trap({ rootElement: spinner, initialFocus: true })
+  trap.start()
+
+  expect(spinner.getAttribute("tabindex")).to.equal("-1")
+  expect(deepestActiveElement()).to.equal(spinner)
+
+  // Focus is never left outside of an active trap
+  outside.focus()
+  expect(deepestActiveElement()).to.equal(spinner)
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(spinner)
+
+  trap.stop()
+  expect(spinner.hasAttribute("tabindex")).to.equal(false)
+
+  const fallbackTrap = new Trap({ rootElement: el.querySelector("#panel"), fallbackFocus: "#spinner" })
+  spinner.setAttribute("tabindex", "-1")
+  fallbackTrap.start()
+
+  outside.focus()
+  expect(deepestActiveElement()).to.equal(spinner)
+
+  fallbackTrap.stop()
+  // We didn't add it, so it stays
+  expect(spinner.getAttribute("tabindex")).to.equal("-1")
+})
+
+test("Each `data-focus-group` should be a single tab stop that remembers its last focused element", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="first">First</button>
+      <div data-focus-group>
+        <button id="group-one">Group one</button>
+        <div id="host"></div>
+      </div>
+      <button id="last">Last</button>
+    </div>
+  `)
+
+  const shadowRoot = el.querySelector("#host").attachShadow({ mode: "open" })
+  shadowRoot.innerHTML = `<button id="group-two">Group two</button>`
+
+  const first = el.querySelector("#first")
+  const groupOne = el.querySelector("#group-one")
+  const groupTwo = shadowRoot.querySelector("#group-two")
+  const last = el.querySelector("#last")
+
+  const trap = new Trap({ rootElement: el })
+
+  first.focus()
+  trap.start()
+
+  expect(trap.getTabStops()).to.deep.equal([first, groupOne, last])
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(groupOne)
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(last)
+
+  // Moving around inside of the group, like with arrow keys, is remembered.
+  groupTwo.focus()
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(last)
+
+  await holdShiftKey(async () => {
+    await sendKeys({ press: tabKey })
+  })
+
+  expect(deepestActiveElement()).to.equal(groupTwo)
+
+  trap.stop()
+})
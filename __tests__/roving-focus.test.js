@@ -0,0 +1,174 @@
+import { html, expect, fixture, aTimeout } from '@open-wc/testing';
+import { sendKeys } from '@web/test-runner-commands';
+
+import { Trap } from '../exports/focus-hunter.js'
+import { RovingFocus } from '../exports/roving-focus.js'
+import { deepestActiveElement } from '../exports/active-elements.js'
+
+const tabKey =
+  navigator.userAgent.includes('Safari') && !navigator.userAgent.includes('HeadlessChrome') ? 'Alt+Tab' : 'Tab';
+
+setup(() => {
+  window.focusHunter?.dispose()
+})
+
+test("RovingFocus should move with arrow keys, Home / End, and type-ahead, and restore tabindexes on stop", async () => {
+  const el = await fixture(html`
+    <div role="toolbar">
+      <button id="bold">Bold</button>
+      <button id="italic" tabindex="0">Italic</button>
+      <div id="host"></div>
+    </div>
+  `)
+
+  const shadowRoot = el.querySelector("#host").attachShadow({ mode: "open" })
+  shadowRoot.innerHTML = `<button id="underline">Underline</button><button id="indent">Indent</button>`
+
+  const bold = el.querySelector("#bold")
+  const italic = el.querySelector("#italic")
+  const underline = shadowRoot.querySelector("#underline")
+  const indent = shadowRoot.querySelector("#indent")
+
+  const rovingFocus = new RovingFocus({ rootElement: el, orientation: "horizontal", wrap: true })
+  rovingFocus.start()
+
+  expect([bold, italic, underline, indent].map((item) => item.getAttribute("tabindex"))).to.deep.equal(["0", "-1", "-1", "-1"])
+
+  bold.focus()
+
+  await sendKeys({ press: "ArrowRight" })
+  expect(deepestActiveElement()).to.equal(italic)
+  expect(italic.getAttribute("tabindex")).to.equal("0")
+  expect(bold.getAttribute("tabindex")).to.equal("-1")
+
+  // Vertical keys don't do anything in a horizontal widget
+  await sendKeys({ press: "ArrowDown" })
+  expect(deepestActiveElement()).to.equal(italic)
+
+  await sendKeys({ press: "End" })
+  expect(deepestActiveElement()).to.equal(indent)
+
+  await sendKeys({ press: "ArrowRight" })
+  expect(deepestActiveElement()).to.equal(bold)
+
+  await sendKeys({ press: "u" })
+  expect(deepestActiveElement()).to.equal(underline)
+
+  // Wait for the type-ahead to reset, so this isn't searching for "ui".
+  await aTimeout(600)
+  await sendKeys({ press: "i" })
+  expect(deepestActiveElement()).to.equal(indent)
+
+  rovingFocus.stop()
+
+  expect(bold.hasAttribute("tabindex")).to.equal(false)
+  expect(italic.getAttribute("tabindex")).to.equal("0")
+  expect(indent.hasAttribute("tabindex")).to.equal(false)
+})
+
+test("RovingFocus should move between rows in a grid", async () => {
+  const el = await fixture(html`
+    <div role="grid">
+      ${Array.from({ length: 5 }, (_, i) => html`<div role="gridcell" tabindex="-1" id="cell-${i}">Cell ${i}</div>`)}
+    </div>
+  `)
+
+  const cell = (i) => el.querySelector(`#cell-${i}`)
+
+  const rovingFocus = new RovingFocus({ rootElement: el, orientation: "grid", columns: 2 })
+  rovingFocus.start()
+
+  cell(0).focus()
+
+  await sendKeys({ press: "ArrowDown" })
+  expect(deepestActiveElement()).to.equal(cell(2))
+
+  await sendKeys({ press: "ArrowRight" })
+  expect(deepestActiveElement()).to.equal(cell(3))
+
+  // Without `wrap`, focus stays at the edges
+  await sendKeys({ press: "ArrowRight" })
+  expect(deepestActiveElement()).to.equal(cell(3))
+
+  await sendKeys({ press: "Home" })
+  expect(deepestActiveElement()).to.equal(cell(2))
+
+  await sendKeys({ press: "Control+End" })
+  expect(deepestActiveElement()).to.equal(cell(4))
+
+  rovingFocus.stop()
+})
+
+test("RovingFocus should leave keys alone in text fields and contenteditable elements", async () => {
+  const el = await fixture(html`
+    <div role="toolbar">
+      <button id="bold">Bold</button>
+      <input id="search" aria-label="Search">
+      <div id="note" contenteditable="true" tabindex="0">Note</div>
+      <button id="italic">Italic</button>
+    </div>
+  `)
+
+  const bold = el.querySelector("#bold")
+  const search = el.querySelector("#search")
+  const note = el.querySelector("#note")
+
+  const rovingFocus = new RovingFocus({ rootElement: el, orientation: "horizontal" })
+  rovingFocus.start()
+
+  bold.focus()
+  await sendKeys({ press: "ArrowRight" })
+  expect(deepestActiveElement()).to.equal(search)
+
+  await sendKeys({ type: "bi" })
+  await sendKeys({ press: "ArrowLeft" })
+  await sendKeys({ press: "Home" })
+  expect(deepestActiveElement()).to.equal(search)
+  expect(search.value).to.equal("bi")
+
+  note.focus()
+  await sendKeys({ press: "ArrowRight" })
+  await sendKeys({ press: "End" })
+  await sendKeys({ type: "i" })
+  expect(deepestActiveElement()).to.equal(note)
+
+  rovingFocus.stop()
+})
+
+test("Each RovingFocus widget should be a single stop in a trap's tab order", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="before">Before</button>
+      <div role="toolbar">
+        <button id="one">One</button>
+        <button id="two">Two</button>
+        <button id="three">Three</button>
+      </div>
+      <button id="after">After</button>
+    </div>
+  `)
+
+  const rovingFocus = new RovingFocus({ rootElement: el.querySelector("[role='toolbar']") })
+  rovingFocus.start()
+
+  const trap = new Trap({ rootElement: el })
+  el.querySelector("#before").focus()
+  trap.start()
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(el.querySelector("#one"))
+
+  await sendKeys({ press: "ArrowRight" })
+  expect(deepestActiveElement()).to.equal(el.querySelector("#two"))
+
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(el.querySelector("#after"))
+
+  // Wraps around, and comes back to the item that was active last
+  await sendKeys({ press: tabKey })
+  await sendKeys({ press: tabKey })
+  expect(deepestActiveElement()).to.equal(el.querySelector("#two"))
+
+  trap.stop()
+  rovingFocus.stop()
+})
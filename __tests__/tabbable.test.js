@@ -0,0 +1,246 @@
+import { html, expect, fixture } from '@open-wc/testing';
+import { sendKeys } from '@web/test-runner-commands';
+
+import { isFocusable, isTabbable, getFocusableElements, getTabbableElements } from '../exports/tabbable.js'
+import { deepestActiveElement } from '../exports/active-elements.js'
+import "./fixtures/components.js"
+
+const tabKey =
+  navigator.userAgent.includes('Safari') && !navigator.userAgent.includes('HeadlessChrome') ? 'Alt+Tab' : 'Tab';
+
+/**
+ * Presses Tab from the start of the document and records where the browser puts focus.
+ * @param {number} count
+ * @returns {Promise<Element[]>}
+ */
+async function nativeTabOrder(count) {
+  /** @type {HTMLElement | null} */ (document.activeElement)?.blur()
+
+  const order = []
+
+  for (let i = 0; i < count; i++) {
+    await sendKeys({ press: tabKey })
+    order.push(deepestActiveElement())
+  }
+
+  return order
+}
+
+test("isFocusable should include elements with tabindex='-1' that aren't tabbable", async () => {
+  const el = await fixture(html`
+    <div>
+      <button tabindex="-1">Button</button>
+      <div tabindex="-1">Div</div>
+      <a tabindex="-1">Link without an href</a>
+      <div>Not focusable</div>
+    </div>
+  `)
+
+  const [button, div, link, notFocusable] = el.children
+
+  for (const focusable of [button, div, link]) {
+    expect(isFocusable(focusable)).to.equal(true)
+    expect(isTabbable(focusable)).to.equal(false)
+  }
+
+  expect(isFocusable(notFocusable)).to.equal(false)
+})
+
+test("isFocusable should exclude inert elements and controls in a disabled fieldset", async () => {
+  const el = await fixture(html`
+    <div>
+      <div inert>
+        <button id="inert">Inert</button>
+      </div>
+
+      <fieldset disabled>
+        <legend>
+          <button id="legend">In the first legend</button>
+        </legend>
+        <button id="fieldset">In the fieldset</button>
+        <input id="input">
+        <a id="link" href="/">Links aren't disabled</a>
+      </fieldset>
+    </div>
+  `)
+
+  expect(isFocusable(el.querySelector("#inert"))).to.equal(false)
+  expect(isFocusable(el.querySelector("#legend"))).to.equal(true)
+  expect(isFocusable(el.querySelector("#fieldset"))).to.equal(false)
+  expect(isFocusable(el.querySelector("#input"))).to.equal(false)
+  expect(isFocusable(el.querySelector("#link"))).to.equal(true)
+})
+
+test("getFocusableElements should walk shadow roots and slots in tree order", async () => {
+  const el = await fixture(html`
+    <div tabindex="-1">
+      <button tabindex="1">First</button>
+      <div id="host">
+        <div tabindex="-1" id="slotted">Slotted</div>
+      </div>
+      <button disabled>Disabled</button>
+    </div>
+  `)
+
+  const host = el.querySelector("#host")
+  const shadowRoot = host.attachShadow({ mode: "open" })
+  shadowRoot.innerHTML = `<button>Shadow</button><slot></slot>`
+
+  expect([...getFocusableElements(el)]).to.deep.equal([
+    el,
+    el.querySelector("button"),
+    shadowRoot.querySelector("button"),
+    el.querySelector("#slotted")
+  ])
+
+  expect([...getFocusableElements(el, { includeRoot: false })]).to.not.include(el)
+})
+
+test("getTabbableElements should be able to exclude the root", async () => {
+  const el = await fixture(html`
+    <div tabindex="0">
+      <button>Button</button>
+    </div>
+  `)
+
+  expect([...getTabbableElements(el)]).to.deep.equal([el, el.querySelector("button")])
+  expect([...getTabbableElements(el, { includeRoot: false })]).to.deep.equal([el.querySelector("button")])
+})
+
+test("getTabbableElements should have 1 tab stop per radio group", async () => {
+  const el = await fixture(html`
+    <div>
+      <form>
+        <input type="radio" name="size" value="small" id="small">
+        <input type="radio" name="size" value="large" id="large">
+      </form>
+
+      <form>
+        <input type="radio" name="size" value="small" id="other-form-small">
+      </form>
+
+      <input type="radio" name="color" value="red" id="red">
+      <input type="radio" name="color" value="blue" id="blue" checked>
+
+      <input type="radio" id="no-name">
+      <div id="host"></div>
+    </div>
+  `)
+
+  const shadowRoot = el.querySelector("#host").attachShadow({ mode: "open" })
+  shadowRoot.innerHTML = `
+    <input type="radio" name="color" value="red" id="shadow-red">
+    <input type="radio" name="color" value="blue" id="shadow-blue">
+  `
+
+  const ids = () => [...getTabbableElements(el)].map((radio) => radio.id)
+
+  expect(ids()).to.deep.equal(["small", "other-form-small", "blue", "no-name", "shadow-red"])
+
+  // Uses the live `checked` property, not the attribute.
+  el.querySelector("#large").checked = true
+  el.querySelector("#red").checked = true
+  shadowRoot.querySelector("#shadow-blue").checked = true
+
+  expect(ids()).to.deep.equal(["large", "other-form-small", "red", "no-name", "shadow-blue"])
+})
+
+test("isTabbable should handle disabled fieldsets and disabled form-associated custom elements", async () => {
+  const el = await fixture(html`
+    <div>
+      <fieldset disabled>
+        <legend><input id="legend"></legend>
+        <input id="disabled">
+        <form-control-test id="fieldset-control"></form-control-test>
+      </fieldset>
+
+      <form-control-test id="disabled-control" disabled></form-control-test>
+      <form-control-test id="enabled-control"></form-control-test>
+    </div>
+  `)
+
+  expect(isTabbable(el.querySelector("#legend"))).to.equal(true)
+  expect(isTabbable(el.querySelector("#disabled"))).to.equal(false)
+
+  const enabledButton = el.querySelector("#enabled-control").shadowRoot.querySelector("button")
+
+  expect([...getTabbableElements(el)]).to.deep.equal([el.querySelector("#legend"), enabledButton])
+})
+
+test("Hosts with delegatesFocus should not be tab stops, but their shadow roots should be", async () => {
+  const el = await fixture(html`
+    <div>
+      <delegates-focus-test tabindex="0"></delegates-focus-test>
+    </div>
+  `)
+
+  const host = el.querySelector("delegates-focus-test")
+  const input = host.shadowRoot.querySelector("input")
+  const button = host.shadowRoot.querySelector("button")
+
+  expect(isTabbable(host)).to.equal(false)
+  expect(isFocusable(host)).to.equal(true)
+  expect([...getTabbableElements(el)]).to.deep.equal([input, button])
+})
+
+test("getTabbableElements should match the browser's Tab order for positive tabindexes in shadow roots and slots", async () => {
+  const el = await fixture(html`
+    <div>
+      <button id="a" tabindex="2">A</button>
+      <button id="b">B</button>
+      <tab-order-test>
+        <button id="c" tabindex="1">C</button>
+        <button id="d">D</button>
+      </tab-order-test>
+      <button id="e" tabindex="1">E</button>
+      <tab-order-test tabindex="-1">
+        <button id="skipped">Skipped, its host has a negative tabindex</button>
+      </tab-order-test>
+    </div>
+  `)
+
+  const host = el.querySelector("tab-order-test")
+  const shadow = (id) => host.shadowRoot.querySelector(`#${id}`)
+
+  const expected = [
+    el.querySelector("#e"),
+    el.querySelector("#a"),
+    el.querySelector("#b"),
+    shadow("shadow-2"),
+    shadow("shadow-1"),
+    el.querySelector("#c"),
+    el.querySelector("#d"),
+    shadow("shadow-3"),
+  ]
+
+  const tabbableElements = [...getTabbableElements(el)]
+
+  expect(tabbableElements).to.deep.equal(expected)
+  expect(await nativeTabOrder(expected.length)).to.deep.equal(tabbableElements)
+})
+
+test("getTabbableElements should accept extra tabbable tags, a filter, and data-focus-hunter-tabbable", async () => {
+  const el = await fixture(html`
+    <div>
+      <my-combobox id="combobox">Combobox</my-combobox>
+      <div id="forced-in" data-focus-hunter-tabbable>Forced in</div>
+      <button id="forced-out" data-focus-hunter-tabbable="false">Forced out</button>
+      <div id="forced-in-hidden" data-focus-hunter-tabbable style="display: none;">Still hidden</div>
+      <button id="filtered" class="skip">Filtered</button>
+      <button id="button">Button</button>
+    </div>
+  `)
+
+  const ids = (options) => [...getTabbableElements(el, options)].map((tabbable) => tabbable.id)
+
+  expect(ids()).to.deep.equal(["forced-in", "filtered", "button"])
+
+  expect(ids({
+    tabbableTags: ["my-combobox"],
+    filter: (tabbable) => !tabbable.classList.contains("skip")
+  })).to.deep.equal(["combobox", "forced-in", "button"])
+
+  expect(isTabbable(el.querySelector("#combobox"), { tabbableTags: ["my-combobox"] })).to.equal(true)
+  expect(isTabbable(el.querySelector("#forced-out"))).to.equal(false)
+  expect(isFocusable(el.querySelector("#forced-out"))).to.equal(true)
+})
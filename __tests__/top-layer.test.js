@@ -0,0 +1,111 @@
+import { html, expect, fixture, aTimeout } from '@open-wc/testing';
+
+import { trapTopLayer } from '../exports/top-layer.js'
+import { deepestActiveElement } from '../exports/active-elements.js'
+import "./fixtures/components.js"
+
+setup(() => {
+  window.focusHunter?.dispose()
+})
+
+test("trapTopLayer should start on showModal(), focus in tab order, and stop on close()", async () => {
+  const dialog = await fixture(html`
+    <dialog>
+      <tab-order-test>
+        <button id="c" tabindex="1">C</button>
+      </tab-order-test>
+    </dialog>
+  `)
+
+  const { trap, disconnect } = trapTopLayer(dialog)
+
+  dialog.showModal()
+  await aTimeout(0)
+
+  expect(trap.isActive()).to.equal(true)
+  // The browser would focus the first focusable element in tree order, the trap uses tab order through the shadow root.
+  expect(deepestActiveElement()).to.equal(dialog.querySelector("tab-order-test").shadowRoot.querySelector("#shadow-2"))
+
+  dialog.close()
+  await aTimeout(0)
+
+  expect(window.focusHunter.trapStack.size).to.equal(0)
+
+  disconnect()
+  dialog.showModal()
+  await aTimeout(0)
+
+  expect(window.focusHunter.trapStack.size).to.equal(0)
+  dialog.close()
+})
+
+test("trapTopLayer should follow popovers opened above a dialog, and close the element when the trap stops itself", async () => {
+  const el = await fixture(html`
+    <div>
+      <dialog>
+        <button>Dialog</button>
+        <div popover="manual">
+          <button>Popover</button>
+        </div>
+      </dialog>
+    </div>
+  `)
+
+  const dialog = el.querySelector("dialog")
+  const popover = el.querySelector("[popover]")
+
+  const dialogTrap = trapTopLayer(dialog).trap
+  const popoverTrap = trapTopLayer(popover).trap
+
+  dialog.showModal()
+  await aTimeout(0)
+
+  popover.showPopover()
+  await aTimeout(0)
+
+  expect([...window.focusHunter.trapStack]).to.deep.equal([dialogTrap, popoverTrap])
+  expect(dialogTrap.paused).to.equal(true)
+  expect(deepestActiveElement()).to.equal(popover.querySelector("button"))
+
+  popoverTrap.stop()
+  await aTimeout(0)
+
+  expect(popover.matches(":popover-open")).to.equal(false)
+  expect([...window.focusHunter.trapStack]).to.deep.equal([dialogTrap])
+  expect(dialogTrap.isActive()).to.equal(true)
+
+  dialog.close()
+  await aTimeout(0)
+
+  expect(window.focusHunter.trapStack.size).to.equal(0)
+})
+
+test("Closing the element should stop its trap, even if `focus-trap-end` is canceled", async () => {
+  const dialog = await fixture(html`
+    <dialog>
+      <button>Dialog</button>
+    </dialog>
+  `)
+
+  const { trap, disconnect } = trapTopLayer(dialog)
+
+  const events = []
+  dialog.addEventListener("focus-trap-end", (event) => {
+    events.push(event)
+    event.preventDefault()
+  })
+
+  dialog.showModal()
+  await aTimeout(0)
+
+  trap.stop()
+  expect(trap.isActive()).to.equal(true)
+
+  dialog.close()
+  await aTimeout(0)
+
+  expect(window.focusHunter.trapStack.size).to.equal(0)
+  expect(events.map((event) => [event.detail.reason, event.cancelable])).to.deep.equal([["api", true], ["close", false]])
+
+  disconnect()
+})
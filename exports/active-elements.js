@@ -1,4 +1,11 @@
 // @ts-check
+import { getFrameDocument } from '../internal/frames.js';
+import { getShadowRoot } from './shadow-roots.js';
+
+/**
+ * @typedef {object} ActiveElementsOptions
+ * @property {boolean} [iframes=false] - Whether to follow focus into same-origin `<iframe>`s.
+ */
 
 /**
  * Use a generator so we can iterate and possibly break early.
@@ -13,25 +20,38 @@
  *     }
  *   }
  * @param {Element | null} [activeElement=document.activeElement] - Make sure to pass in a currently active element.
- * @returns {Generator<Element, undefined, Element | ShadowRoot>}
+ * @param {ActiveElementsOptions} [options={}]
+ * @returns {Generator<Element, undefined, undefined>}
  */
-export function* activeElements(activeElement = document.activeElement) {
+export function* activeElements(activeElement = document.activeElement, options = {}) {
   if (activeElement === null || activeElement === undefined) return;
 
   yield activeElement;
 
-  if ('shadowRoot' in activeElement && activeElement.shadowRoot && activeElement.shadowRoot.mode !== 'closed') {
-    yield* activeElements(activeElement.shadowRoot.activeElement);
+  // Closed shadow roots are only followed if they've been registered with `registerShadowRoot()`
+  const shadowRoot = getShadowRoot(activeElement)
+
+  if (shadowRoot) {
+    yield* activeElements(shadowRoot.activeElement, options);
+    return
+  }
+
+  const frameDocument = options.iframes ? getFrameDocument(activeElement) : null
+
+  // A frame's `activeElement` is its `<body>` when nothing inside of it is focused.
+  if (frameDocument && frameDocument.activeElement !== frameDocument.body) {
+    yield* activeElements(frameDocument.activeElement, options);
   }
 }
 
 
 /**
  * @param {Element | null} [activeElement=document.activeElement] - Make sure to pass in a currently active element.
+ * @param {ActiveElementsOptions} [options={}]
  * @returns {Element | null}
  */
-export function deepestActiveElement (activeElement = document.activeElement) {
-  const activeEls = activeElements(activeElement)
+export function deepestActiveElement (activeElement = document.activeElement, options = {}) {
+  const activeEls = activeElements(activeElement, options)
 
   let end = null;
 
@@ -49,3 +69,104 @@ export function deepestActiveElement (activeElement = document.activeElement) {
 
   return end;
 }
+
+/**
+ * @typedef {object} ActiveElementChange
+ * @property {Element[]} path - Every active element from the document down, like `[...activeElements()]`.
+ * @property {Element | null} previous - The deepest active element before focus changed.
+ * @property {Element | null} current - The deepest active element now.
+ */
+
+/**
+ * Calls the callback whenever the deepest active element changes, including when focus moves around inside of a shadow root.
+ * `focusin` is retargeted to the shadow host, so instead of trusting the event target we look at the active elements again.
+ * With `iframes`, focus moving around inside of a same-origin frame is reported too. A frame's document is listened to
+ * once focus has gone into it, so a frame that navigates is picked up again the next time focus enters it.
+ * @example
+ *   const unwatch = watchActiveElement(({ path, previous, current }) => {
+ *     console.log(`Focus moved from ${previous?.localName} to ${current?.localName}`)
+ *   })
+ *
+ *   // Later
+ *   unwatch()
+ * @param {(change: ActiveElementChange) => void} callback
+ * @param {ActiveElementsOptions} [options={}]
+ * @returns {() => void} Stops watching.
+ */
+export function watchActiveElement (callback, options = {}) {
+  let previous = deepestActiveElement(document.activeElement, options)
+
+  /** @type {undefined | ReturnType<typeof setTimeout>} */
+  let timeout
+
+  /**
+   * The documents with listeners, the main document and any frames focus went into.
+   * @type {Set<Document>}
+   */
+  const documents = new Set()
+
+  const check = () => {
+    clearTimeout(timeout)
+
+    const path = [...activeElements(document.activeElement, options)]
+    const current = path[path.length - 1] ?? null
+
+    listenToFrames(path)
+
+    if (current === previous) return
+
+    const change = { path, previous, current }
+    previous = current
+    callback(change)
+  }
+
+  /**
+   * @param {FocusEvent} event
+   */
+  const handleFocusOut = (event) => {
+    // If focus is going to another element, `focusin` will tell us about it. Otherwise it's going to the `<body>`,
+    // which doesn't get a `focusin`, and `activeElement` isn't updated until after this event.
+    if (event.relatedTarget == null) {
+      timeout = setTimeout(check)
+    }
+  }
+
+  /**
+   * @param {Document} doc
+   */
+  const listen = (doc) => {
+    if (documents.has(doc)) return
+
+    documents.add(doc)
+    doc.addEventListener("focusin", check, { capture: true })
+    doc.addEventListener("focusout", handleFocusOut, { capture: true })
+  }
+
+  /**
+   * Focus moving inside of a frame doesn't fire any events in our document, the iframe stays its active element.
+   * @param {Element[]} path
+   */
+  const listenToFrames = (path) => {
+    if (!options.iframes) return
+
+    for (const el of path) {
+      const frameDocument = getFrameDocument(el)
+
+      if (frameDocument) listen(frameDocument)
+    }
+  }
+
+  listen(document)
+  listenToFrames([...activeElements(document.activeElement, options)])
+
+  return () => {
+    clearTimeout(timeout)
+
+    for (const doc of documents) {
+      doc.removeEventListener("focusin", check, { capture: true })
+      doc.removeEventListener("focusout", handleFocusOut, { capture: true })
+    }
+
+    documents.clear()
+  }
+}
@@ -0,0 +1,121 @@
+// @ts-check
+import { deepestActiveElement } from './active-elements.js';
+import { getTabbableElements } from './tabbable.js';
+
+/**
+ * @typedef {import("./tabbable.js").TabbableOptions} TabbableOptions
+ */
+
+/**
+ * @typedef {object} FocusOptionsBase
+ * @property {boolean} [preventScroll=false] - Passed to `element.focus({ preventScroll })`.
+ */
+
+/**
+ * @typedef {TabbableOptions & FocusOptionsBase} FocusHelperOptions
+ */
+
+/**
+ * @typedef {object} FocusMoveOptionsBase
+ * @property {boolean} [wrap=false] - Whether to wrap around to the other end when there's nothing left in that direction.
+ */
+
+/**
+ * @typedef {FocusHelperOptions & FocusMoveOptionsBase} FocusMoveOptions
+ */
+
+/**
+ * Focuses the first tabbable element in the root, in the same order the browser would Tab through it.
+ * @example
+ *   focusFirst(toolbar, { preventScroll: true })
+ * @param {Element | ShadowRoot} root
+ * @param {FocusHelperOptions} [options={}]
+ * @returns {HTMLElement | null} The focused element, or `null` if the root has nothing tabbable.
+ */
+export function focusFirst (root, options = {}) {
+  const first = getTabbableElements(root, options).next().value
+
+  return focus(first, options)
+}
+
+/**
+ * Focuses the last tabbable element in the root.
+ * @param {Element | ShadowRoot} root
+ * @param {FocusHelperOptions} [options={}]
+ * @returns {HTMLElement | null} The focused element, or `null` if the root has nothing tabbable.
+ */
+export function focusLast (root, options = {}) {
+  const last = [...getTabbableElements(root, options)].pop()
+
+  return focus(last, options)
+}
+
+/**
+ * Focuses the tabbable element after the currently focused one. If focus isn't on a tabbable element in the root,
+ * the first tabbable element is focused.
+ * @example
+ *   menu.addEventListener("keydown", (event) => {
+ *     if (event.key === "ArrowDown") focusNext(menu, { wrap: true })
+ *   })
+ * @param {Element | ShadowRoot} root
+ * @param {FocusMoveOptions} [options={}]
+ * @returns {HTMLElement | null} The focused element, or `null` if focus didn't move.
+ */
+export function focusNext (root, options = {}) {
+  return moveFocus(root, 1, options)
+}
+
+/**
+ * Focuses the tabbable element before the currently focused one. If focus isn't on a tabbable element in the root,
+ * the last tabbable element is focused.
+ * @param {Element | ShadowRoot} root
+ * @param {FocusMoveOptions} [options={}]
+ * @returns {HTMLElement | null} The focused element, or `null` if focus didn't move.
+ */
+export function focusPrevious (root, options = {}) {
+  return moveFocus(root, -1, options)
+}
+
+/**
+ * @param {Element | ShadowRoot} root
+ * @param {1 | -1} direction
+ * @param {FocusMoveOptions} options
+ * @returns {HTMLElement | null}
+ */
+function moveFocus (root, direction, options) {
+  const tabbableElements = [...getTabbableElements(root, options)]
+
+  if (tabbableElements.length === 0) return null
+
+  const currentFocus = deepestActiveElement(document.activeElement, { iframes: options.iframes })
+  const currentIndex = currentFocus ? tabbableElements.indexOf(currentFocus) : -1
+
+  if (currentIndex === -1) {
+    return focus(direction === 1 ? tabbableElements[0] : tabbableElements[tabbableElements.length - 1], options)
+  }
+
+  let nextIndex = currentIndex + direction
+
+  if (nextIndex < 0 || nextIndex >= tabbableElements.length) {
+    if (options.wrap !== true) return null
+
+    nextIndex = (nextIndex + tabbableElements.length) % tabbableElements.length
+  }
+
+  return focus(tabbableElements[nextIndex], options)
+}
+
+/**
+ * @param {Element | undefined} el
+ * @param {FocusHelperOptions} options
+ * @returns {HTMLElement | null}
+ */
+function focus (el, options) {
+  if (el == null) return null
+
+  const focusable = /** @type {HTMLElement} */ (el)
+
+  focusable.focus({ preventScroll: options.preventScroll === true })
+
+  return focusable
+}
@@ -0,0 +1,160 @@
+// @ts-check
+import { Trap } from './focus-hunter.js';
+
+/**
+ * @typedef {import("./focus-hunter.js").TrapOptions} TrapOptions
+ */
+
+/**
+ * Boolean attributes, and the `Trap` option they turn on.
+ * @type {Array<[string, keyof TrapOptions]>}
+ */
+const booleanAttributes = [
+  ["prevent-scroll", "preventScroll"],
+  ["return-focus", "returnFocus"],
+  ["escape-deactivates", "escapeDeactivates"],
+  ["click-outside-deactivates", "clickOutsideDeactivates"],
+  ["allow-outside-click", "allowOutsideClick"],
+  ["hide-others", "hideOthers"],
+  ["lock-scroll", "lockScroll"],
+  ["iframes", "iframes"],
+  ["reenter-on-tab", "reenterOnTab"],
+]
+
+/**
+ * Traps focus inside of its children while it has the `active` attribute. The element is the trap's `rootElement`,
+ * so the `focus-trap-*` events are dispatched on it.
+ * @example
+ *   <focus-hunter-trap active initial-focus return-focus escape-deactivates>
+ *     <button>Close</button>
+ *   </focus-hunter-trap>
+ */
+export class FocusHunterTrap extends HTMLElement {
+  static get observedAttributes () {
+    return ["active"]
+  }
+
+  constructor () {
+    super()
+
+    /**
+     * Options that can't be attributes, like `filter`, `manager`, or the lifecycle callbacks.
+     * Like the attributes, these are read every time the trap starts.
+     * @type {Partial<TrapOptions>}
+     */
+    this.trapOptions = {}
+
+    /**
+     * The trap from the last time the element was activated.
+     * @type {null | Trap}
+     */
+    this.trap = null
+  }
+
+  /**
+   * Reflects the `active` attribute. The trap is started while this is `true`.
+   * @returns {boolean}
+   */
+  get active () {
+    return this.hasAttribute("active")
+  }
+
+  set active (value) {
+    this.toggleAttribute("active", Boolean(value))
+  }
+
+  connectedCallback () {
+    if (this.active) this.startTrap()
+  }
+
+  disconnectedCallback () {
+    // Keeps the `active` attribute, so moving the element restarts the trap.
+    this.trap?.stop("disconnect")
+  }
+
+  /**
+   * @param {string} _name
+   * @param {string | null} oldValue
+   * @param {string | null} newValue
+   */
+  attributeChangedCallback (_name, oldValue, newValue) {
+    // `connectedCallback()` starts the trap once the element is in the document.
+    if (!this.isConnected || (oldValue == null) === (newValue == null)) return
+
+    if (newValue != null) {
+      this.startTrap()
+      return
+    }
+
+    const trap = this.trap
+
+    if (trap == null) return
+
+    trap.stop()
+
+    // `focus-trap-end` was canceled
+    if (trap.trapStack.has(trap)) this.active = true
+  }
+
+  startTrap () {
+    if (this.trap?.trapStack.has(this.trap)) return
+
+    const trap = new Trap(this.getTrapOptions())
+    this.trap = trap
+    trap.start()
+
+    // `focus-trap-start` was canceled
+    if (!trap.trapStack.has(trap)) this.active = false
+  }
+
+  /**
+   * Combines the attributes with `trapOptions`. Attributes that are present win over `trapOptions`.
+   * @returns {TrapOptions}
+   */
+  getTrapOptions () {
+    /** @type {TrapOptions} */
+    const options = {
+      preventScroll: false,
+      ...this.trapOptions,
+      rootElement: this,
+      // Traps can also be stopped by Escape, outside clicks, or their manager, the attribute needs to follow along.
+      onPostDeactivate: (detail) => {
+        if (this.isConnected && this.trap === detail.trap) this.active = false
+
+        this.trapOptions.onPostDeactivate?.(detail)
+      }
+    }
+
+    for (const [attribute, option] of booleanAttributes) {
+      if (this.hasAttribute(attribute)) {
+        /** @type {Record<string, unknown>} */ (options)[option] = true
+      }
+    }
+
+    // `initial-focus` on its own focuses the first `[autofocus]` or tabbable element, `"false"` leaves focus where it is,
+    // and any other value is used as a selector.
+    const initialFocus = this.getAttribute("initial-focus")
+
+    if (initialFocus != null) {
+      options.initialFocus = initialFocus === "" ? true : initialFocus === "false" ? false : initialFocus
+    }
+
+    const fallbackFocus = this.getAttribute("fallback-focus")
+
+    if (fallbackFocus) {
+      options.fallbackFocus = fallbackFocus
+    }
+
+    const mode = this.getAttribute("mode")
+
+    if (mode === "strict" || mode === "soft") {
+      options.mode = mode
+    }
+
+    return options
+  }
+}
+
+if (!window.customElements.get("focus-hunter-trap")) {
+  window.customElements.define("focus-hunter-trap", FocusHunterTrap)
+}
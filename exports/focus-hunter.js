@@ -1,15 +1,96 @@
 // @ts-check
-import { activeElements, deepestActiveElement } from './active-elements.js';
-import { getTabbableElements } from './tabbable.js';
+import { activeElements, deepestActiveElement, watchActiveElement } from './active-elements.js';
+import { getTabbableElements, isFocusable } from './tabbable.js';
+import { compareComposedTreeOrder } from '../internal/tree-order.js';
+import { hideOthers, restoreOthers } from '../internal/hide-others.js';
+import { lockScroll, unlockScroll } from '../internal/scroll-lock.js';
+import { defaultTrapManager } from './trap-manager.js';
 
 /**
  * {import("../types/focus-hunter.d.ts")}
  */
 
+/**
+ * Elements with this attribute are a single tab stop in a trap, no matter how many tabbable elements are inside of them.
+ */
+const focusGroupAttribute = "data-focus-group"
+
+/**
+ * `focus-trap-end` can't be canceled for these.
+ * @type {TrapEventReason[]}
+ */
+const uncancelableStopReasons = ["dispose", "disconnect", "close"]
+
+/**
+ * @typedef {import("./trap-manager.js").TrapManager} TrapManager
+ * @typedef {import("./trap-stack.js").TrapStack} TrapStack
+ * @typedef {import("./tabbable.js").TabbableOptions} TabbableOptions
+ */
+
 /**
  * @typedef {object} TrapOptions
- * @property {Element} rootElement - The element to implement focus trapping on.
+ * @property {RootElementOption} rootElement - The element, or elements, to implement focus trapping on.
  * @property {boolean} preventScroll - Whether or not to prevent scrolling when focusing elements in the trap.
+ * @property {TrapManager} [manager] - The registry to start the trap in. Defaults to the global manager on `window.focusHunter`.
+ * @property {InitialFocusOption} [initialFocus=true] - Where to move focus when the trap starts. `true` focuses the first `[autofocus]` or tabbable element in the trap, `false` leaves focus where it is.
+ * @property {ReturnFocusOption} [returnFocus=false] - Where to send focus when the trap is stopped. `true` returns focus to the element that was focused when the trap started.
+ * @property {HTMLElement | (() => HTMLElement | null | undefined)} [returnFocusFallback] - Used when the `returnFocus` element has been removed or hidden since the trap started.
+ * @property {FallbackFocusOption} [fallbackFocus] - Where to move focus when the trap has no tabbable elements. Defaults to the `rootElement`, with a temporary `tabindex="-1"` if it needs one.
+ * @property {boolean | ((event: KeyboardEvent) => boolean)} [escapeDeactivates=false] - Whether pressing the Escape key stops the trap.
+ * @property {boolean | ((event: PointerEvent) => boolean)} [clickOutsideDeactivates=false] - Whether clicking outside of the `rootElement` stops the trap.
+ * @property {boolean | ((event: PointerEvent) => boolean)} [allowOutsideClick=false] - Lets a click outside of the `rootElement` through without stopping the trap. Takes priority over `clickOutsideDeactivates`.
+ * @property {boolean} [hideOthers=false] - Whether to set `inert` (or `aria-hidden` as a fallback) on everything outside of the trap while it's active.
+ * @property {(el: Element) => boolean} [filter] - Called with every tabbable element in the trap. Return `false` to leave it out of the trap.
+ * @property {string[]} [tabbableTags] - Extra tag names to treat as natively tabbable, like `["my-combobox"]`.
+ * @property {string[]} [elementsWithTabbableControls] - Extra tag names of elements that handle Tab themselves, like `<iframe>`. The trap won't move focus away from them.
+ * @property {boolean} [lockScroll=false] - Whether to lock scrolling on the document while the trap is started.
+ * @property {boolean} [iframes=false] - Whether to trap focus inside of same-origin iframes too, instead of letting them handle Tab.
+ * @property {TrapCallback} [onActivate] - Called when the trap starts, before any listeners are added or focus is moved.
+ * @property {TrapCallback} [onPostActivate] - Called after the trap has started and focus has been moved.
+ * @property {TrapCallback} [onDeactivate] - Called when the trap stops, before listeners are removed or focus is returned.
+ * @property {TrapCallback} [onPostDeactivate] - Called after the trap has stopped and focus has been returned.
+ * @property {TrapCallback} [onPause] - Called when the trap is paused.
+ * @property {TrapCallback} [onUnpause] - Called when the trap is unpaused.
+ * @property {TrapMode} [mode="strict"] - `"soft"` traps only keep Tab inside of the trap, focus can still leave by clicking or from code.
+ * @property {boolean} [reenterOnTab=false] - In `"soft"` mode, whether pressing Tab while focus is outside of the trap moves focus back into it.
+ * @property {TrapCallback} [onBlur] - In `"soft"` mode, called when focus leaves the trap.
+ */
+
+/**
+ * `"strict"` traps bring focus back whenever it leaves. `"soft"` traps only wrap Tab, and report when focus leaves.
+ * @typedef {"strict" | "soft"} TrapMode
+ */
+
+/**
+ * Why a trap was started, stopped, paused, unpaused, or blurred.
+ * @typedef {"api" | "escape" | "click-outside" | "trap-stack" | "dispose" | "disconnect" | "close" | "focus-out"} TrapEventReason
+ */
+
+/**
+ * @typedef {object} TrapEventDetail
+ * @property {Trap} trap - The trap the event is for.
+ * @property {TrapEventReason} reason - Why the event happened.
+ */
+
+/**
+ * @typedef {(detail: TrapEventDetail) => void} TrapCallback
+ */
+
+/**
+ * A trap can be made of multiple containers. Tab order goes through each container in the order they appear in the document.
+ * @typedef {Element | Element[] | (() => Element | Element[])} RootElementOption
+ */
+
+/**
+ * @typedef {boolean | string | HTMLElement | ((rootElement: Element) => HTMLElement | string | null | undefined | false)} InitialFocusOption
+ */
+
+/**
+ * @typedef {boolean | HTMLElement | ((initialFocus: HTMLElement | null | undefined) => HTMLElement | null | undefined)} ReturnFocusOption
+ */
+
+/**
+ * @typedef {string | HTMLElement | (() => HTMLElement | string | null | undefined)} FallbackFocusOption
  */
 
 export class Trap {
@@ -22,17 +103,23 @@ export class Trap {
     }
 
     /**
-     * The element to implement focus trapping on.
-     * @type {Element}
+     * The element, elements, or function returning elements to implement focus trapping on.
+     * Use `getRootElements()` to get the current elements.
+     * @type {RootElementOption}
      */
-    this.rootElement = options.rootElement;
+    this.rootElements = options.rootElement;
 
-    if (!window.focusHunter) {
-      window.focusHunter = {
-        trapStack: new Set(),
-        rootElementStack: new Set()
-      }
-    }
+    /**
+     * The root elements added to the `rootElementStack` when the trap started.
+     * @type {Element[]}
+     */
+    this.startedRootElements = []
+
+    /**
+     * The registry this trap is started in. Defaults to the global manager on `window.focusHunter`.
+     * @type {TrapManager}
+     */
+    this.manager = options.manager ?? defaultTrapManager()
 
     /**
      * The currently focused element when the focus trap is started.
@@ -41,16 +128,16 @@ export class Trap {
     this.initialFocus = undefined
 
     /**
-     * An array of possible focus traps. This helps protects against multiple traps being active at once.
-     * @type {Set<Trap>}
+     * The stack of started traps. This helps protects against multiple traps being active at once.
+     * @type {TrapStack}
      */
-    this.trapStack = window.focusHunter.trapStack;
+    this.trapStack = this.manager.trapStack;
 
     /**
      * An array of possibly focus trapped elements. This helps protects against multiple traps being active at once.
      * @type {Set<Element>}
      */
-    this.rootElementStack = window.focusHunter.rootElementStack;
+    this.rootElementStack = this.manager.rootElementStack;
 
     /**
      * If `true` will do: `focus({ preventScroll: true })` to prevent scrolling when focusing.
@@ -58,6 +145,142 @@ export class Trap {
      */
     this.preventScroll = Boolean(options.preventScroll === true)
 
+    /**
+     * Where to move focus when the trap starts. This is different from `initialFocus`, which is the element
+     * that had focus before the trap started.
+     * @type {InitialFocusOption}
+     */
+    this.initialFocusTarget = options.initialFocus ?? true
+
+    /**
+     * Where to send focus when the trap is stopped.
+     * @type {ReturnFocusOption}
+     */
+    this.returnFocus = options.returnFocus ?? false
+
+    /**
+     * Where to send focus when the `returnFocus` element is no longer focusable.
+     * @type {TrapOptions["returnFocusFallback"]}
+     */
+    this.returnFocusFallback = options.returnFocusFallback
+
+    /**
+     * Whether pressing the Escape key stops the trap.
+     * @type {NonNullable<TrapOptions["escapeDeactivates"]>}
+     */
+    this.escapeDeactivates = options.escapeDeactivates ?? false
+
+    /**
+     * Whether clicking outside of the `rootElement` stops the trap.
+     * @type {NonNullable<TrapOptions["clickOutsideDeactivates"]>}
+     */
+    this.clickOutsideDeactivates = options.clickOutsideDeactivates ?? false
+
+    /**
+     * Whether a click outside of the `rootElement` should be let through without stopping the trap.
+     * @type {NonNullable<TrapOptions["allowOutsideClick"]>}
+     */
+    this.allowOutsideClick = options.allowOutsideClick ?? false
+
+    /**
+     * Whether focus is brought back when it leaves the trap, or only Tab is kept inside of it.
+     * @type {TrapMode}
+     */
+    this.mode = options.mode ?? "strict"
+
+    /**
+     * In `"soft"` mode, whether Tab moves focus back into the trap from outside of it.
+     * @type {boolean}
+     */
+    this.reenterOnTab = options.reenterOnTab === true
+
+    /**
+     * In `"soft"` mode, whether focus was inside of the trap the last time it moved. Used to know when to fire `focus-trap-blur`.
+     * @type {boolean}
+     */
+    this.focusInside = false
+
+    /**
+     * Whether to hide everything outside of the trap from assistive technology while it's active.
+     * @type {boolean}
+     */
+    this.hideOthers = Boolean(options.hideOthers === true)
+
+    /**
+     * Elements outside of the trap that were hidden by `hideOthers`.
+     * @type {Element[]}
+     */
+    this.hiddenElements = []
+
+    /**
+     * Whether to lock scrolling on the document while the trap is started.
+     * @type {boolean}
+     */
+    this.lockScroll = Boolean(options.lockScroll === true)
+
+    /**
+     * Where to move focus when the trap has no tabbable elements.
+     * @type {TrapOptions["fallbackFocus"]}
+     */
+    this.fallbackFocus = options.fallbackFocus
+
+    /**
+     * The root element we added a temporary `tabindex="-1"` to, so it could be the fallback focus. Removed when the trap stops.
+     * @type {null | Element}
+     */
+    this.fallbackTabindexElement = null
+
+    /**
+     * The element that was focused last in each `data-focus-group`. Tab goes back to it when entering the group.
+     * @type {WeakMap<Element, Element>}
+     */
+    this.focusGroupMemory = new WeakMap()
+
+    /**
+     * Whether this trap is currently holding a scroll lock.
+     * @type {boolean}
+     */
+    this.scrollLocked = false
+
+    /**
+     * The tabbable elements of a started trap. Reset to `null` when a `MutationObserver` or `slotchange` event
+     * says they might have changed.
+     * @type {null | Element[]}
+     */
+    this.tabbableElementsCache = null
+
+    /**
+     * The root elements the `tabbableElementsCache` was built from.
+     * @type {Element[]}
+     */
+    this.cachedRootElements = []
+
+    /**
+     * Watches the root elements and their shadow roots to reset the `tabbableElementsCache`.
+     * @type {null | MutationObserver}
+     */
+    this.mutationObserver = null
+
+    /**
+     * Root elements, shadow roots, and iframe documents with `slotchange` and `change` listeners.
+     * @type {Array<Element | ShadowRoot | Document>}
+     */
+    this.observedTargets = []
+
+    /**
+     * Lifecycle callbacks. These are called alongside the `focus-trap-*` events.
+     * @type {Pick<TrapOptions, "onActivate" | "onPostActivate" | "onDeactivate" | "onPostDeactivate" | "onPause" | "onUnpause" | "onBlur">}
+     */
+    this.callbacks = {
+      onActivate: options.onActivate,
+      onPostActivate: options.onPostActivate,
+      onDeactivate: options.onDeactivate,
+      onPostDeactivate: options.onPostDeactivate,
+      onPause: options.onPause,
+      onUnpause: options.onUnpause,
+      onBlur: options.onBlur,
+    }
+
     /**
      * Which way to go in the array of tabbable elements
      * @type {'forward' | 'backward'}
@@ -71,6 +294,18 @@ export class Trap {
      */
     this.currentFocus = undefined
 
+    /**
+     * Whether the trap is paused. Paused traps stay in the `trapStack`, but don't move focus.
+     * @type {boolean}
+     */
+    this.paused = false
+
+    /**
+     * Stops watching the active element. Set while the trap is started.
+     * @type {null | (() => void)}
+     */
+    this.unwatchActiveElement = null
+
 
     /**
      * @type {string[]}
@@ -78,68 +313,447 @@ export class Trap {
     this.elementsWithTabbableControls = [
       // "audio",
       // "video",
-      "iframe"
+      "iframe",
+      ...(options.elementsWithTabbableControls ?? [])
     ]
 
+    /**
+     * Passed to `getTabbableElements()` to extend which elements are tabbable.
+     * @type {Pick<TabbableOptions, "filter" | "tabbableTags" | "iframes">}
+     */
+    this.tabbableOptions = {
+      filter: options.filter,
+      tabbableTags: options.tabbableTags,
+      iframes: options.iframes === true
+    }
+  }
+
+  /**
+   * The first root element. Events are dispatched on this element.
+   * @returns {Element | undefined}
+   */
+  get rootElement() {
+    return this.getRootElements()[0]
+  }
+
+  /**
+   * Replaces the `rootElement` option. Like a function `rootElement`, the new elements are picked up
+   * the next time the trap looks for tabbable elements.
+   * @param {RootElementOption} value
+   */
+  set rootElement(value) {
+    this.rootElements = value
+  }
+
+  /**
+   * Resolves the `rootElement` option to a list of elements, sorted by their position in the document.
+   * @returns {Element[]}
+   */
+  getRootElements() {
+    const rootElements = typeof this.rootElements === "function" ? this.rootElements() : this.rootElements
+
+    return [rootElements].flat().filter((el) => el != null).sort(compareComposedTreeOrder)
+  }
+
+  /**
+   * Every tabbable element across all of the root elements, in tab order.
+   * While the trap is started, the elements are cached until the DOM inside of the root elements changes.
+   * @return {Generator<Element>}
+   */
+  *getTabbableElements() {
+    const rootElements = this.getRootElements()
+
+    if (this.tabbableElementsCache && haveSameElements(rootElements, this.cachedRootElements)) {
+      yield* this.tabbableElementsCache
+      return
+    }
+
+    /** @type {Set<ShadowRoot>} */
+    const shadowRoots = new Set()
+
+    /** @type {Set<Document>} */
+    const documents = new Set()
+
+    /** @type {Set<Element>} */
+    const tabbableElements = new Set()
+
+    for (const rootElement of rootElements) {
+      for (const el of getTabbableElements(rootElement, { ...this.tabbableOptions, shadowRoots, documents })) {
+        // Root elements can be nested inside of each other, so the Set removes duplicates.
+        tabbableElements.add(el)
+      }
+    }
+
+    const elements = [...tabbableElements]
+
+    if (this.trapStack.has(this)) {
+      // `observe()` disconnects first, which clears the cache, so the cache has to be filled after it.
+      this.observe([...rootElements, ...shadowRoots, ...documents])
+      this.tabbableElementsCache = elements
+      this.cachedRootElements = rootElements
+    }
+
+    yield* elements
+  }
+
+  /**
+   * Clears the cached tabbable elements so they're found again on the next Tab press. This happens automatically when
+   * the DOM inside of the trap changes, but things like CSS changes from outside of the trap can't be observed.
+   */
+  invalidateTabbableElements = () => {
+    this.tabbableElementsCache = null
   }
 
   /**
-   * Start the trap
+   * Watches the root elements and every shadow root inside of them for changes that could change the tabbable elements.
+   * Key and focus events inside of an iframe don't reach our `document`, so iframe documents get those listeners too.
+   * @param {Array<Element | ShadowRoot | Document>} targets
    */
-  start() {
-    if (this.trapStack.has(this) || this.rootElementStack.has(this.rootElement)) return
+  observe(targets) {
+    this.disconnect()
+
+    this.mutationObserver = new MutationObserver(this.invalidateTabbableElements)
+
+    for (const target of targets) {
+      this.mutationObserver.observe(target, { childList: true, subtree: true, attributes: true })
+
+      // These bubble, but aren't composed, so they need to be listened for in every shadow root.
+      // "change" is for radios, checking a radio changes which radio in its group is tabbable without changing any attributes.
+      target.addEventListener("slotchange", this.invalidateTabbableElements)
+      target.addEventListener("change", this.invalidateTabbableElements)
+
+      if (target.nodeType === Node.DOCUMENT_NODE) {
+        const frameDocument = /** @type {Document} */ (target)
+        frameDocument.addEventListener('keydown', this.handleKeyDown);
+        frameDocument.addEventListener('keyup', this.handleKeyUp);
+      }
+    }
+
+    this.observedTargets = targets
+  }
+
+  /**
+   * Stops watching for changes and clears the cached tabbable elements.
+   */
+  disconnect() {
+    this.mutationObserver?.disconnect()
+    this.mutationObserver = null
+
+    for (const target of this.observedTargets) {
+      target.removeEventListener("slotchange", this.invalidateTabbableElements)
+      target.removeEventListener("change", this.invalidateTabbableElements)
+
+      if (target.nodeType === Node.DOCUMENT_NODE) {
+        const frameDocument = /** @type {Document} */ (target)
+        frameDocument.removeEventListener('keydown', this.handleKeyDown);
+        frameDocument.removeEventListener('keyup', this.handleKeyUp);
+      }
+    }
+
+    this.observedTargets = []
+    this.invalidateTabbableElements()
+  }
+
+  /**
+   * Start the trap. Dispatches a cancelable `focus-trap-start` event on the `rootElement` first,
+   * calling `preventDefault()` on it will keep the trap from starting. Does nothing when there are no root elements.
+   * @param {TrapEventReason} [reason="api"]
+   */
+  start(reason = "api") {
+    const rootElements = this.getRootElements()
+
+    // A function `rootElement` can return nothing yet, like before a dialog renders. There's nothing to trap.
+    if (rootElements.length === 0) return
+
+    if (this.trapStack.has(this) || rootElements.some((rootElement) => this.rootElementStack.has(rootElement))) return
+
+    if (!this.dispatch("focus-trap-start", reason)) return
+
+    this.callbacks.onActivate?.({ trap: this, reason })
 
     this.trapStack.add(this);
-    this.rootElementStack.add(this.rootElement)
-    this.rootElement.dispatchEvent(new Event("focus-trap-start"))
-    document.addEventListener('focusin', this.handleFocusIn);
+    this.startedRootElements = rootElements
+
+    for (const rootElement of rootElements) {
+      this.rootElementStack.add(rootElement)
+    }
+
+    this.unwatchActiveElement = watchActiveElement(this.handleActiveElementChange, { iframes: this.tabbableOptions.iframes })
     document.addEventListener('keydown', this.handleKeyDown);
     document.addEventListener('keyup', this.handleKeyUp);
+    document.addEventListener('pointerdown', this.handlePointerDown, { capture: true });
 
-    const currentlyFocusedEl = deepestActiveElement()
+    // Walks the iframes up front so their documents have key listeners before focus can move into them.
+    if (this.tabbableOptions.iframes) {
+      this.getTabbableElements().next()
+    }
+
+    const currentlyFocusedEl = this.getDeepestActiveElement()
     this.initialFocus = /** @type {HTMLElement | null} */ (currentlyFocusedEl)
     this.currentFocus = /** @type {HTMLElement | null} */ (currentlyFocusedEl)
+
+    // Hide after recording focus, making the focused element inert will blur it.
+    this.hideOutsideElements()
+
+    // Paused traps keep their lock, so the page stays locked while nested traps are started and stopped.
+    if (this.lockScroll) {
+      lockScroll()
+      this.scrollLocked = true
+    }
+
+    const initialFocusTarget = this.getInitialFocusTarget()
+
+    if (initialFocusTarget) {
+      this.currentFocus = initialFocusTarget
+      initialFocusTarget.focus({ preventScroll: this.preventScroll })
+    }
+
+    this.focusInside = this.hasFocus()
+
+    this.callbacks.onPostActivate?.({ trap: this, reason })
+  }
+
+  /**
+   * Finds the element to move focus to when the trap starts. Selectors and functions that don't resolve to
+   * an element fall back to the first `[autofocus]` element, and then the first tabbable element.
+   * @returns {HTMLElement | null}
+   */
+  getInitialFocusTarget() {
+    /** @type {InitialFocusOption | Element | null | undefined} */
+    let target = this.initialFocusTarget
+
+    if (target === false) return null
+
+    if (typeof target === "function") {
+      target = target(/** @type {Element} */ (this.rootElement))
+
+      if (target === false) return null
+    }
+
+    if (typeof target === "string") {
+      const selector = target
+
+      target = null
+
+      for (const rootElement of this.getRootElements()) {
+        target = rootElement.querySelector(selector)
+        if (target) break
+      }
+    }
+
+    if (target instanceof HTMLElement && canReceiveFocus(target)) return target
+
+    let firstTabbable = null
+
+    for (const el of this.getTabbableElements()) {
+      if (el.hasAttribute("autofocus")) return /** @type {HTMLElement} */ (el)
+
+      if (firstTabbable == null) firstTabbable = /** @type {HTMLElement} */ (el)
+    }
+
+    return firstTabbable ?? this.getFallbackFocusTarget()
   }
 
   /**
-   * End the trap
+   * Finds the element to focus when the trap has no tabbable elements. Without a usable `fallbackFocus`,
+   * the `rootElement` is made focusable with a temporary `tabindex="-1"`, so focus never has to leave the trap.
+   * @returns {HTMLElement | null}
    */
-  stop() {
+  getFallbackFocusTarget() {
+    /** @type {FallbackFocusOption | Element | null | undefined} */
+    let target = typeof this.fallbackFocus === "function" ? this.fallbackFocus() : this.fallbackFocus
+
+    if (typeof target === "string") {
+      const selector = target
+
+      target = null
+
+      for (const rootElement of this.getRootElements()) {
+        target = rootElement.querySelector(selector)
+        if (target) break
+      }
+    }
+
+    if (target instanceof HTMLElement && canReceiveFocus(target)) return target
+
+    const rootElement = this.rootElement
+
+    if (rootElement == null) return null
+
+    if (!rootElement.hasAttribute("tabindex")) {
+      rootElement.setAttribute("tabindex", "-1")
+      this.fallbackTabindexElement = rootElement
+    }
+
+    return /** @type {HTMLElement} */ (rootElement)
+  }
+
+  /**
+   * End the trap. Dispatches a `focus-trap-end` event on the `rootElement` first,
+   * calling `preventDefault()` on it will keep the trap running unless the trap's manager is being disposed, its
+   * `<focus-hunter-trap>` element was disconnected, or its `trapTopLayer()` element was closed.
+   * @param {TrapEventReason} [reason="api"]
+   */
+  stop(reason = "api") {
+    if (!this.trapStack.has(this)) return
+
+    // Disposing a manager has to stop every trap, and a trap can't outlive its element, so those can't be canceled.
+    if (!this.dispatch("focus-trap-end", reason, !uncancelableStopReasons.includes(reason))) return
+
+    this.callbacks.onDeactivate?.({ trap: this, reason })
+
+    // Restore before the trap underneath is unpaused, so it can hide elements again.
+    this.restoreOutsideElements()
     this.trapStack.delete(this);
-    this.rootElementStack.delete(this.rootElement)
+
+    for (const rootElement of this.startedRootElements) {
+      this.rootElementStack.delete(rootElement)
+    }
+
+    this.startedRootElements = []
     this.currentFocus = undefined;
+    this.paused = false
+    this.disconnect()
 
-    this.rootElement.dispatchEvent(new Event("focus-trap-end"))
-    document.removeEventListener('focusin', this.handleFocusIn);
+    if (this.scrollLocked) {
+      unlockScroll()
+      this.scrollLocked = false
+    }
+
+    this.unwatchActiveElement?.()
+    this.unwatchActiveElement = null
     document.removeEventListener('keydown', this.handleKeyDown);
     document.removeEventListener('keyup', this.handleKeyUp);
+    document.removeEventListener('pointerdown', this.handlePointerDown, { capture: true });
 
-    // Perhaps we want to return to initial focus?
-    // this.initialFocus?.focus({ preventScroll: this.preventScroll })
+    if (this.fallbackTabindexElement) {
+      this.fallbackTabindexElement.removeAttribute("tabindex")
+      this.fallbackTabindexElement = null
+    }
+
+    const returnFocusTarget = this.getReturnFocusTarget()
     this.initialFocus = undefined
+
+    if (returnFocusTarget) {
+      returnFocusTarget.focus({ preventScroll: this.preventScroll })
+    }
+
+    this.callbacks.onPostDeactivate?.({ trap: this, reason })
   }
 
   /**
-   * Check the trapStack and make sure this is the current trap.
-   * @returns {Boolean}
+   * Pause the trap. A paused trap stays in the `trapStack` but stops moving focus until it is unpaused.
+   * Traps are paused automatically when another trap is started on top of them.
+   * @param {TrapEventReason} [reason="api"]
    */
-  isActive() {
-    // The "active" modal is always the most recent one shown
-    let end = null
+  pause(reason = "api") {
+    if (this.paused || !this.trapStack.has(this)) return
+
+    this.paused = true
+    this.restoreOutsideElements()
+    this.dispatch("focus-trap-pause", reason, false)
+    this.callbacks.onPause?.({ trap: this, reason })
+  }
 
-    const values = this.trapStack.values()
+  /**
+   * Unpause the trap and restore focus to where it was before it was paused.
+   * Traps are unpaused automatically when the trap on top of them is stopped.
+   * @param {TrapEventReason} [reason="api"]
+   */
+  unpause(reason = "api") {
+    if (!this.paused || !this.trapStack.has(this)) return
 
-    while (true) {
-      const next = values.next()
+    this.paused = false
+    this.hideOutsideElements()
+    this.dispatch("focus-trap-unpause", reason, false)
 
-      if (next.done) {
-        break
+    if (this.isActive()) {
+      if (canReceiveFocus(this.currentFocus)) {
+        /** @type {HTMLElement} */ (this.currentFocus).focus({ preventScroll: this.preventScroll })
+      } else {
+        this.resetFocus()
       }
+    }
 
-      end = next.value
+    this.callbacks.onUnpause?.({ trap: this, reason })
+  }
+
+  /**
+   * If `hideOthers` is set, hides everything outside of the root elements from assistive technology.
+   * Only the active trap hides elements, traps undo it when they're paused or stopped.
+   */
+  hideOutsideElements() {
+    if (!this.hideOthers) return
+
+    this.restoreOutsideElements()
+    this.hiddenElements = hideOthers(this.startedRootElements)
+  }
+
+  /**
+   * Restores the elements hidden by `hideOutsideElements()`.
+   */
+  restoreOutsideElements() {
+    restoreOthers(this.hiddenElements)
+    this.hiddenElements = []
+  }
+
+  /**
+   * Dispatches a `CustomEvent` on the `rootElement`. Events bubble and are composed, so ancestors of the `rootElement`,
+   * including the shadow hosts it lives in and the `document`, can listen for them.
+   * @param {string} name
+   * @param {TrapEventReason} reason
+   * @param {boolean} [cancelable=true]
+   * @returns {boolean} `false` if a listener called `preventDefault()`
+   */
+  dispatch(name, reason, cancelable = true) {
+    /** @type {CustomEvent<TrapEventDetail>} */
+    const event = new CustomEvent(name, {
+      bubbles: true,
+      composed: true,
+      cancelable,
+      detail: { trap: this, reason }
+    })
+
+    // The root elements can be gone by the time the trap stops, the event goes to the ones it started with.
+    const target = this.rootElement ?? this.startedRootElements[0]
+
+    return target ? target.dispatchEvent(event) : true
+  }
+
+  /**
+   * Finds the element to send focus to when the trap stops. If the `returnFocus` element has since been
+   * removed or hidden, `returnFocusFallback` is used instead.
+   * @returns {HTMLElement | null}
+   */
+  getReturnFocusTarget() {
+    if (this.returnFocus === false) return null
+
+    let target = null
+
+    if (this.returnFocus === true) {
+      target = this.initialFocus
+    } else if (typeof this.returnFocus === "function") {
+      target = this.returnFocus(this.initialFocus)
+    } else {
+      target = this.returnFocus
     }
 
-    return end === this
+    if (canReceiveFocus(target)) return /** @type {HTMLElement} */ (target)
+
+    const fallback = typeof this.returnFocusFallback === "function" ? this.returnFocusFallback() : this.returnFocusFallback
+
+    if (canReceiveFocus(fallback)) return /** @type {HTMLElement} */ (fallback)
+
+    return null
+  }
+
+  /**
+   * Check the trapStack and make sure this is the current trap, and that it isn't paused.
+   * @returns {Boolean}
+   */
+  isActive() {
+    // The "active" modal is always the most recent one shown
+    return this.trapStack.top() === this && !this.paused
   }
 
   /**
@@ -149,51 +763,138 @@ export class Trap {
   resetFocus() {
     if (!this.isActive()) return
 
-    const currentFocus = deepestActiveElement()
+    const currentFocus = this.getDeepestActiveElement()
 
     if (currentFocus) this.currentFocus = /** @type {HTMLElement} */ (currentFocus)
 
-    if (this.rootElement.matches(':focus-within')) return
+    if (this.hasFocus()) return
 
+    /** @type {Element | null | undefined} */
     let target = null
 
-    const tabbableElements = getTabbableElements(/** @type {ShadowRoot | HTMLElement} */ (this.rootElement))
+    const tabStops = this.getTabStops()
 
     if (this.tabDirection === "forward") {
-      target = tabbableElements.next().value
+      target = tabStops[0]
     } else if (this.tabDirection === "backward") {
-      while (true) {
-        const next = tabbableElements.next()
+      target = tabStops[tabStops.length - 1]
+    }
 
-        if (next.done) {
-          break
-        }
+    target ??= this.getFallbackFocusTarget()
 
-        target = next.value
-      }
+    if (target && typeof /** @type {HTMLElement} */ (target).focus === 'function') {
+      this.currentFocus = /** @type {HTMLElement} */ (target);
+      /** @type {HTMLElement} */ (target).focus({ preventScroll: this.preventScroll });
     }
+  }
+
+  /**
+   * The tabbable elements that Tab moves between. Every `data-focus-group` is collapsed into a single stop,
+   * at the position of its first tabbable element. The stop is the element that was focused last in the group, or its first one.
+   * @returns {Element[]}
+   */
+  getTabStops() {
+    const rootElements = this.getRootElements()
+
+    /** @type {Array<{ group: null | Element, elements: Element[] }>} */
+    const stops = []
+
+    /** @type {Map<Element, Element[]>} */
+    const groups = new Map()
+
+    for (const el of this.getTabbableElements()) {
+      const group = getFocusGroup(el, rootElements)
+
+      if (group == null) {
+        stops.push({ group, elements: [el] })
+        continue
+      }
+
+      let elements = groups.get(group)
+
+      if (!elements) {
+        elements = []
+        groups.set(group, elements)
+        stops.push({ group, elements })
+      }
 
-    if (target && typeof target?.focus === 'function') {
-      this.currentFocus = target;
-      target.focus({ preventScroll: this.preventScroll });
+      elements.push(el)
     }
+
+    return stops.map(({ group, elements }) => {
+      const lastFocused = group ? this.focusGroupMemory.get(group) : null
+
+      return lastFocused && elements.includes(lastFocused) ? lastFocused : elements[0]
+    })
+  }
+
+  /**
+   * Remembers the focused element as the last focused element of its `data-focus-group`.
+   */
+  rememberFocusGroup() {
+    const currentFocus = this.getDeepestActiveElement()
+
+    if (currentFocus == null) return
+
+    const group = getFocusGroup(currentFocus, this.getRootElements())
+
+    if (group) this.focusGroupMemory.set(group, currentFocus)
   }
 
   /**
-   * @param {FocusEvent} _event
+   * Whether focus is inside of any of the root elements.
+   * @returns {boolean}
    */
-  handleFocusIn = (_event) => {
+  hasFocus() {
+    return this.getRootElements().some((rootElement) => rootElement.matches(':focus-within'))
+  }
+
+  /**
+   * Strict traps bring focus back when it escapes. Soft traps let it go, and dispatch `focus-trap-blur`.
+   */
+  handleFocusChange() {
     if (!this.isActive()) return
-    this.resetFocus();
+
+    this.rememberFocusGroup()
+
+    if (this.mode === "strict") {
+      this.resetFocus()
+      return
+    }
+
+    const focusInside = this.hasFocus()
+
+    if (this.focusInside && !focusInside) {
+      this.dispatch("focus-trap-blur", "focus-out", false)
+      this.callbacks.onBlur?.({ trap: this, reason: "focus-out" })
+    }
+
+    this.focusInside = focusInside
+  }
+
+  /**
+   * This also catches focus going to the `<body>`, like when an element that handles Tab itself lets focus leave.
+   * @param {import("./active-elements.js").ActiveElementChange} _change
+   */
+  handleActiveElementChange = (_change) => {
+    this.handleFocusChange()
   };
 
   /**
    * @param {KeyboardEvent} event
    */
   handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      this.handleEscapeKey(event)
+      return
+    }
+
     if (event.key !== 'Tab') return;
     if (!this.isActive()) return
 
+    // Soft traps let Tab work normally outside of the trap, unless it should bring focus back in.
+    if (this.mode === "soft" && !this.reenterOnTab && !this.hasFocus()) return
+
     if (event.shiftKey) {
       this.tabDirection = 'backward';
     } else {
@@ -201,17 +902,58 @@ export class Trap {
     }
 
     this.adjustFocus(event)
-    setTimeout(() => this.resetFocus())
   };
 
   /**
+   * Escape that was already handled inside of the trap, like a combobox closing its listbox, leaves the trap running.
+   * Our listener is on the `document`, so it runs after those.
+   * @param {KeyboardEvent} event
+   */
+  handleEscapeKey (event) {
+    if (!this.isActive() || event.defaultPrevented) return
+
+    if (checkOption(this.escapeDeactivates, event)) {
+      this.stop("escape")
+    }
+  }
+
+  /**
+   * Uses `composedPath()` so clicks inside of shadow roots within a root element are still considered "inside".
+   * @param {PointerEvent} event
+   */
+  handlePointerDown = (event) => {
+    if (!this.isActive()) return
+
+    const path = event.composedPath()
+
+    if (this.getRootElements().some((rootElement) => path.includes(rootElement))) return
+
+    if (checkOption(this.allowOutsideClick, event)) return
+
+    if (checkOption(this.clickOutsideDeactivates, event)) {
+      this.stop("click-outside")
+    }
+  }
+
+  /**
+   * The deepest focused element, following focus into same-origin iframes when the `iframes` option is on.
+   * @returns {Element | null}
+   */
+  getDeepestActiveElement() {
+    return deepestActiveElement(document.activeElement, { iframes: this.tabbableOptions.iframes })
+  }
+
+  /**
+   * With the `iframes` option, focus inside of a same-origin iframe is handled like any other element in the trap.
+   * The iframe itself is only focused when nothing inside of it is, and then it still gets to handle Tab.
    * @param {HTMLElement} element
    */
   possiblyHasTabbableChildren(element) {
       return (
         this.elementsWithTabbableControls.includes(element.tagName.toLowerCase())
         || element.hasAttribute("controls")
-        // Should we add a data-attribute for people to set just in case they have an element where we don't know if it has possibly tabbable elements?
+        // For elements we don't know about that have their own tabbable elements.
+        || element.hasAttribute("data-focus-hunter-controls")
       )
   }
 
@@ -221,17 +963,35 @@ export class Trap {
   adjustFocus (event) {
     if (!this.isActive()) return
 
-    const currentFocus = deepestActiveElement()
+    const currentFocus = this.getDeepestActiveElement()
     this.previousFocus = currentFocus
 
     if (this.previousFocus && this.possiblyHasTabbableChildren(/** @type {HTMLElement} */ (this.previousFocus))) {
       return
     }
 
-    const tabbableElements = [...getTabbableElements(this.rootElement)];
+    const tabbableElements = this.getTabStops();
+
+    // Keep focus on the fallback, instead of letting Tab leave an empty trap.
+    if (tabbableElements.length === 0) {
+      event.preventDefault()
+      this.currentFocus = this.getFallbackFocusTarget()
+      this.currentFocus?.focus({ preventScroll: this.preventScroll })
+      return
+    }
 
     let currentFocusIndex = tabbableElements.findIndex((el) => el === currentFocus)
 
+    // Focus can be on an element in a group that isn't the group's tab stop, like one with `tabindex="-1"`.
+    if (currentFocusIndex === -1 && currentFocus) {
+      const rootElements = this.getRootElements()
+      const group = getFocusGroup(currentFocus, rootElements)
+
+      if (group) {
+        currentFocusIndex = tabbableElements.findIndex((el) => getFocusGroup(el, rootElements) === group)
+      }
+    }
+
     const addition = this.tabDirection === 'forward' ? 1 : -1;
 
     let count = 0
@@ -268,7 +1028,7 @@ export class Trap {
       this.currentFocus?.focus({ preventScroll: this.preventScroll });
 
       // @ts-expect-error
-      if (![...activeElements()].includes(this.previousFocus)) {
+      if (![...activeElements(document.activeElement, { iframes: this.tabbableOptions.iframes })].includes(this.previousFocus)) {
         break
       }
 
@@ -284,3 +1044,56 @@ export class Trap {
     this.tabDirection = 'forward';
   };
 }
+
+/**
+ * Resolves options that can either be a boolean, or a predicate called with the triggering event.
+ * @template {Event} T
+ * @param {boolean | ((event: T) => boolean)} option
+ * @param {T} event
+ * @returns {boolean}
+ */
+function checkOption (option, event) {
+  if (typeof option === "function") return Boolean(option(event))
+
+  return option === true
+}
+
+/**
+ * The closest `data-focus-group` element, going through shadow roots to their hosts, but not past the root elements.
+ * @param {Element} el
+ * @param {Element[]} rootElements
+ * @returns {null | Element}
+ */
+function getFocusGroup (el, rootElements) {
+  /** @type {null | Element} */
+  let current = el
+
+  while (current && !rootElements.includes(current)) {
+    if (current.hasAttribute(focusGroupAttribute)) return current
+
+    current = current.parentElement ?? /** @type {{ host?: Element }} */ (current.getRootNode()).host ?? null
+  }
+
+  return null
+}
+
+/**
+ * @param {Element[]} a
+ * @param {Element[]} b
+ * @returns {boolean}
+ */
+function haveSameElements (a, b) {
+  return a.length === b.length && a.every((el, index) => el === b[index])
+}
+
+/**
+ * Checks an element is still somewhere focus can be sent to. Elements can be removed or hidden while a trap is active.
+ * @param {HTMLElement | null | undefined} el
+ * @returns {boolean}
+ */
+function canReceiveFocus (el) {
+  if (el == null || typeof el.focus !== "function") return false
+  if (!el.isConnected) return false
+
+  return isFocusable(el)
+}
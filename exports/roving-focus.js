@@ -0,0 +1,393 @@
+// @ts-check
+import { deepestActiveElement } from './active-elements.js';
+import { getFocusableElements } from './tabbable.js';
+
+/**
+ * @typedef {"horizontal" | "vertical" | "both" | "grid"} RovingFocusOrientation
+ */
+
+/**
+ * @typedef {object} RovingFocusOptions
+ * @property {Element} rootElement - The composite widget, like a toolbar, tablist, listbox or grid.
+ * @property {RovingFocusOrientation} [orientation="both"] - Which arrow keys move focus. `"grid"` uses Left / Right within a row, and Up / Down between rows.
+ * @property {number} [columns=1] - How many items are in each row when `orientation` is `"grid"`.
+ * @property {boolean} [wrap=false] - Whether moving past the last item goes back to the first, and the other way around.
+ * @property {boolean} [typeahead=true] - Whether typing characters focuses the next item whose label starts with them.
+ * @property {boolean} [preventScroll=false] - Passed to `element.focus({ preventScroll })`.
+ * @property {(el: Element) => boolean} [filter] - Called with every focusable element in the widget. Return `false` for elements that aren't items.
+ * @property {string[]} [tabbableTags] - Extra tag names to treat as natively focusable, like `["my-option"]`.
+ */
+
+/**
+ * How long to wait after the last typed character before starting a new type-ahead search.
+ */
+const typeaheadTimeout = 500
+
+/**
+ * Implements the WAI-ARIA "roving tabindex" pattern. Only the active item has `tabindex="0"`, every other item has
+ * `tabindex="-1"`, so the whole widget is a single tab stop, and arrow keys move focus between the items.
+ * Items are found with the same shadow root and slot aware walker as traps.
+ * @see https://www.w3.org/WAI/ARIA/apg/practices/keyboard-interface/#kbd_roving_tabindex
+ * @example
+ *   const rovingFocus = new RovingFocus({ rootElement: toolbar, orientation: "horizontal", wrap: true })
+ *   rovingFocus.start()
+ */
+export class RovingFocus {
+  /**
+   * @param {RovingFocusOptions} options
+   */
+  constructor(options) {
+    if (options.rootElement == null) {
+      throw Error("No `rootElement` provided for roving focus")
+    }
+
+    /**
+     * @type {Element}
+     */
+    this.rootElement = options.rootElement
+
+    /**
+     * @type {RovingFocusOrientation}
+     */
+    this.orientation = options.orientation ?? "both"
+
+    /**
+     * @type {number}
+     */
+    this.columns = Math.max(1, options.columns ?? 1)
+
+    /**
+     * @type {boolean}
+     */
+    this.wrap = options.wrap === true
+
+    /**
+     * @type {boolean}
+     */
+    this.typeahead = options.typeahead !== false
+
+    /**
+     * @type {boolean}
+     */
+    this.preventScroll = options.preventScroll === true
+
+    /**
+     * Passed to `getFocusableElements()` to find the items.
+     * @type {import("./tabbable.js").TabbableOptions}
+     */
+    this.itemOptions = {
+      includeRoot: false,
+      filter: options.filter,
+      tabbableTags: options.tabbableTags
+    }
+
+    /**
+     * The item with `tabindex="0"`.
+     * @type {null | Element}
+     */
+    this.activeItem = null
+
+    /**
+     * The `tabindex` attributes of items before we changed them, restored on `stop()`.
+     * @type {Map<Element, string | null>}
+     */
+    this.originalTabindexes = new Map()
+
+    /**
+     * The characters typed so far for type-ahead.
+     * @type {string}
+     */
+    this.typeaheadBuffer = ""
+
+    /**
+     * @type {undefined | ReturnType<typeof setTimeout>}
+     */
+    this.typeaheadTimer = undefined
+
+    /**
+     * @type {boolean}
+     */
+    this.started = false
+  }
+
+  /**
+   * Every item in the widget, in tree order.
+   * @returns {Element[]}
+   */
+  getItems() {
+    return [...getFocusableElements(this.rootElement, this.itemOptions)]
+  }
+
+  /**
+   * Makes the widget a single tab stop and starts listening for arrow keys.
+   */
+  start() {
+    if (this.started) return
+
+    this.started = true
+    // `keydown` and `focusin` are composed, so items inside of shadow roots are heard here too.
+    this.rootElement.addEventListener("keydown", /** @type {EventListener} */ (this.handleKeyDown))
+    this.rootElement.addEventListener("focusin", /** @type {EventListener} */ (this.handleFocusIn))
+
+    this.updateTabindexes()
+  }
+
+  /**
+   * Stops listening for keys, and restores the items' original `tabindex` attributes.
+   */
+  stop() {
+    if (!this.started) return
+
+    this.started = false
+    this.rootElement.removeEventListener("keydown", /** @type {EventListener} */ (this.handleKeyDown))
+    this.rootElement.removeEventListener("focusin", /** @type {EventListener} */ (this.handleFocusIn))
+    clearTimeout(this.typeaheadTimer)
+    this.typeaheadBuffer = ""
+
+    for (const [item, tabindex] of this.originalTabindexes) {
+      if (tabindex == null) {
+        item.removeAttribute("tabindex")
+      } else {
+        item.setAttribute("tabindex", tabindex)
+      }
+    }
+
+    this.originalTabindexes.clear()
+    this.activeItem = null
+  }
+
+  /**
+   * Gives the active item `tabindex="0"` and every other item `tabindex="-1"`. Call this after adding or removing items.
+   * If the active item is gone, the first item becomes active.
+   * @param {Element[]} [items=this.getItems()]
+   */
+  updateTabindexes(items = this.getItems()) {
+    if (this.activeItem == null || !items.includes(this.activeItem)) {
+      this.activeItem = items[0] ?? null
+    }
+
+    for (const item of items) {
+      if (!this.originalTabindexes.has(item)) {
+        this.originalTabindexes.set(item, item.getAttribute("tabindex"))
+      }
+
+      const tabindex = item === this.activeItem ? "0" : "-1"
+
+      // Only set it when it changed, so traps don't throw away their tabbable elements cache for nothing.
+      if (item.getAttribute("tabindex") !== tabindex) {
+        item.setAttribute("tabindex", tabindex)
+      }
+    }
+  }
+
+  /**
+   * Makes the item the active item and focuses it.
+   * @param {Element} item
+   * @param {Element[]} [items=this.getItems()]
+   */
+  focusItem(item, items = this.getItems()) {
+    const focusable = /** @type {HTMLElement} */ (item)
+
+    this.activeItem = focusable
+    this.updateTabindexes(items)
+    focusable.focus({ preventScroll: this.preventScroll })
+  }
+
+  /**
+   * Clicking, or calling `.focus()` on an item, also makes it the active item.
+   * @param {FocusEvent} _event
+   */
+  handleFocusIn = (_event) => {
+    const items = this.getItems()
+    const currentFocus = findItem(items)
+
+    if (currentFocus && currentFocus !== this.activeItem) {
+      this.activeItem = currentFocus
+      this.updateTabindexes(items)
+    }
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown = (event) => {
+    if (event.defaultPrevented || event.altKey || event.metaKey) return
+
+    // Arrow keys, Home, End and typing move the caret in text fields, like a search box in a toolbar.
+    if (isEditable(event.composedPath()[0])) return
+
+    const items = this.getItems()
+    const currentFocus = findItem(items)
+
+    if (currentFocus == null) return
+
+    const index = items.indexOf(currentFocus)
+
+    let nextIndex = this.getNextIndex(event, index, items.length)
+
+    if (nextIndex == null && this.typeahead && isPrintableCharacter(event)) {
+      nextIndex = this.findTypeaheadIndex(event.key, index, items)
+    }
+
+    if (nextIndex == null) return
+
+    event.preventDefault()
+
+    if (nextIndex !== index) {
+      this.focusItem(items[nextIndex], items)
+    }
+  }
+
+  /**
+   * Maps navigation keys to the index of the item to move to.
+   * @param {KeyboardEvent} event
+   * @param {number} index - The index of the focused item.
+   * @param {number} length - How many items there are.
+   * @returns {null | number} `null` if the key doesn't move focus.
+   */
+  getNextIndex(event, index, length) {
+    const isGrid = this.orientation === "grid"
+    const horizontal = this.orientation !== "vertical"
+    const vertical = this.orientation !== "horizontal"
+
+    // Ctrl is only used for Ctrl+Home and Ctrl+End in grids.
+    if (event.ctrlKey && !(isGrid && (event.key === "Home" || event.key === "End"))) return null
+
+    const last = length - 1
+
+    // In a grid, Left / Right, Home and End stay in the row. Ctrl+Home and Ctrl+End go to the first and last cell.
+    const rowStart = isGrid && !event.ctrlKey ? index - (index % this.columns) : 0
+    const rowEnd = isGrid && !event.ctrlKey ? Math.min(rowStart + this.columns - 1, last) : last
+
+    switch (event.key) {
+      case "Home":
+        return rowStart
+      case "End":
+        return rowEnd
+      case "ArrowRight":
+        return horizontal ? this.moveWithin(index, 1, rowStart, rowEnd) : null
+      case "ArrowLeft":
+        return horizontal ? this.moveWithin(index, -1, rowStart, rowEnd) : null
+      case "ArrowDown":
+        if (!vertical) return null
+        return isGrid ? this.moveRow(index, 1, length) : this.moveWithin(index, 1, 0, last)
+      case "ArrowUp":
+        if (!vertical) return null
+        return isGrid ? this.moveRow(index, -1, length) : this.moveWithin(index, -1, 0, last)
+    }
+
+    return null
+  }
+
+  /**
+   * @param {number} index
+   * @param {1 | -1} step
+   * @param {number} start
+   * @param {number} end
+   * @returns {number}
+   */
+  moveWithin(index, step, start, end) {
+    const nextIndex = index + step
+
+    if (nextIndex >= start && nextIndex <= end) return nextIndex
+
+    if (!this.wrap) return index
+
+    return step > 0 ? start : end
+  }
+
+  /**
+   * Moves to the same column in the next or previous row. Wrapping goes to the same column at the other end of the grid.
+   * @param {number} index
+   * @param {1 | -1} step
+   * @param {number} length
+   * @returns {number}
+   */
+  moveRow(index, step, length) {
+    const nextIndex = index + step * this.columns
+
+    if (nextIndex >= 0 && nextIndex < length) return nextIndex
+
+    if (!this.wrap) return index
+
+    const column = index % this.columns
+
+    if (step > 0) return column
+
+    // The last row can be shorter than the others.
+    const lastRowStart = (length - 1) - ((length - 1) % this.columns)
+
+    return lastRowStart + column < length ? lastRowStart + column : lastRowStart - this.columns + column
+  }
+
+  /**
+   * Finds the next item, after the focused one, whose label starts with the typed characters.
+   * @param {string} key
+   * @param {number} index
+   * @param {Element[]} items
+   * @returns {null | number}
+   */
+  findTypeaheadIndex(key, index, items) {
+    clearTimeout(this.typeaheadTimer)
+    this.typeaheadTimer = setTimeout(() => { this.typeaheadBuffer = "" }, typeaheadTimeout)
+
+    this.typeaheadBuffer += key.toLowerCase()
+
+    // Typing the same character over and over cycles through items starting with it.
+    const isRepeated = [...this.typeaheadBuffer].every((character) => character === this.typeaheadBuffer[0])
+    const search = isRepeated ? this.typeaheadBuffer[0] : this.typeaheadBuffer
+    const start = isRepeated || this.typeaheadBuffer.length === 1 ? index + 1 : index
+
+    for (let i = 0; i < items.length; i++) {
+      const candidateIndex = (start + i) % items.length
+
+      if (getLabel(items[candidateIndex]).startsWith(search)) return candidateIndex
+    }
+
+    return null
+  }
+}
+
+/**
+ * The item that has focus, looking through shadow roots.
+ * @param {Element[]} items
+ * @returns {null | Element}
+ */
+function findItem(items) {
+  const currentFocus = deepestActiveElement()
+
+  return items.find((item) => item === currentFocus) ?? null
+}
+
+/**
+ * `<input>` types that don't take text, and so don't need the arrow keys.
+ */
+const nonTextInputTypes = ["button", "checkbox", "color", "file", "image", "radio", "reset", "submit"]
+
+/**
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+function isEditable(target) {
+  if (target instanceof HTMLTextAreaElement) return true
+
+  if (target instanceof HTMLInputElement) return !nonTextInputTypes.includes(target.type)
+
+  return target instanceof HTMLElement && target.isContentEditable
+}
+
+/**
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+function isPrintableCharacter(event) {
+  return event.key.length === 1 && !event.ctrlKey && event.key !== " "
+}
+
+/**
+ * @param {Element} item
+ * @returns {string}
+ */
+function getLabel(item) {
+  return (item.getAttribute("aria-label") ?? item.textContent ?? "").trim().toLowerCase()
+}
@@ -0,0 +1,43 @@
+// @ts-check
+
+/**
+ * Closed shadow roots registered by their components. `element.shadowRoot` is `null` for closed shadow roots,
+ * so without this they'd be holes in the focus trap.
+ * @type {WeakMap<Element, ShadowRoot>}
+ */
+const registeredShadowRoots = new WeakMap()
+
+/**
+ * Lets focus-hunter find elements inside of a closed shadow root.
+ * @example
+ *   class MyElement extends HTMLElement {
+ *     constructor () {
+ *       super()
+ *       const shadowRoot = this.attachShadow({ mode: "closed" })
+ *       registerShadowRoot(this, shadowRoot)
+ *     }
+ *   }
+ * @param {Element} host
+ * @param {ShadowRoot} shadowRoot
+ */
+export function registerShadowRoot (host, shadowRoot) {
+  registeredShadowRoots.set(host, shadowRoot)
+}
+
+/**
+ * @param {Element} host
+ */
+export function unregisterShadowRoot (host) {
+  registeredShadowRoots.delete(host)
+}
+
+/**
+ * Returns the host's open shadow root, or its registered closed shadow root.
+ * @param {Element} host
+ * @returns {ShadowRoot | null}
+ */
+export function getShadowRoot (host) {
+  if (host.shadowRoot && host.shadowRoot.mode === "open") return host.shadowRoot
+
+  return registeredShadowRoots.get(host) ?? null
+}
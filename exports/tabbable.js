@@ -1,42 +1,8 @@
 // @ts-check
 
-// Cached compute style calls. This is specifically for browsers that dont support `checkVisibility()`.
-// computedStyle calls are "live" so they only need to be retrieved once for an element.
-
-const computedStyleMap = /** @type {WeakMap<Element, CSSStyleDeclaration>} */ (new WeakMap())
-
-/**
- * @param {Element} el
- * @returns {CSSStyleDeclaration}
- */
-function getCachedComputedStyle(el) {
-  /**
-   * @type {undefined | CSSStyleDeclaration}
-   */
-  let computedStyle = computedStyleMap.get(el);
-
-  if (!computedStyle) {
-    computedStyle = window.getComputedStyle(el, null);
-    computedStyleMap.set(el, computedStyle);
-  }
-
-  return /** @type {CSSStyleDeclaration} */ (computedStyle);
-}
-
-/**
- * @param {Element} el
- */
-function isVisible(el) {
-  // This is the fastest check, but isn't supported in Safari.
-  if (typeof el.checkVisibility === 'function') {
-    return el.checkVisibility({ checkOpacity: false, checkVisibilityCSS: true });
-  }
-
-  // Fallback "polyfill" for "checkVisibility"
-  const computedStyle = getCachedComputedStyle(el);
-
-  return computedStyle.visibility !== 'hidden' && computedStyle.display !== 'none';
-}
+import { getCachedComputedStyle, isVisible } from '../internal/visibility.js';
+import { getFrameDocument } from '../internal/frames.js';
+import { getShadowRoot } from './shadow-roots.js';
 
 /**
  * While this behavior isn't standard in Safari / Chrome yet, I think it's the most reasonable
@@ -76,24 +42,27 @@ function isOverflowingAndTabbable(el) {
 
 
 /**
- * Determines if the specified element is tabbable using heuristics inspired by https://github.com/focus-trap/tabbable
- * @param {Element} el - The element to check if it's tabbable
+ * `data-focus-hunter-tabbable="false"` forces an element out of the tab order, any other value forces it in.
+ * Forced elements still aren't tabbable if they're disabled, inert, or hidden.
+ */
+const forceTabbableAttribute = "data-focus-hunter-tabbable"
+
+/**
+ * Determines if the specified element can receive focus, either from `element.focus()` or by clicking on it.
+ * This includes elements with `tabindex="-1"` that aren't tabbable.
+ * @param {Element} el - The element to check if it's focusable
+ * @param {TabbableRules} [options={}]
  * @returns {boolean}
  */
-export function isTabbable(el) {
+export function isFocusable(el, options = {}) {
   const tag = el.tagName.toLowerCase();
 
   const tabindex = Number(el.getAttribute('tabindex'));
   const hasTabindex = el.hasAttribute('tabindex');
 
-
-  // elements with a tabindex attribute that is either NaN or <= -1 are not tabbable
-  if (hasTabindex && (isNaN(tabindex) || tabindex <= -1)) {
-    return false;
-  }
-
-  // Elements with a disabled attribute are not tabbable
-  if (el.hasAttribute('disabled')) {
+  // Elements with a disabled attribute are not focusable. `:disabled` also covers controls (including form-associated custom elements)
+  // inside of a `<fieldset disabled>`, except for the ones in its first `<legend>`.
+  if (el.hasAttribute('disabled') || el.matches(':disabled')) {
     return false;
   }
 
@@ -101,42 +70,52 @@ export function isTabbable(el) {
     return false
   }
 
-  // Radios without a checked attribute are not tabbable
-  if (tag === 'input' && el.getAttribute('type') === 'radio' && !el.hasAttribute('checked')) {
-    return false;
-  }
-
-  // Elements that are hidden have no offsetParent and are not tabbable
+  // Elements that are hidden have no offsetParent and are not focusable
   // offsetParent() is added because otherwise it misses elements in Safari
   if (!isVisible(/** @type {HTMLElement} */ (el)))
   {
     return false;
   }
 
+  const forceTabbable = el.getAttribute(forceTabbableAttribute)
+
+  if (forceTabbable != null && forceTabbable !== "false") {
+    return true;
+  }
+
+  // Calling `.focus()` on a host with `delegatesFocus` focuses the first focusable element in its shadow root.
+  if (delegatesFocus(el)) {
+    return !getFocusableElements(/** @type {ShadowRoot} */ (getShadowRoot(el)), options).next().done
+  }
+
+  // Any valid tabindex makes an element focusable, `tabindex="-1"` just takes it out of the tab order.
+  if (hasTabindex && !isNaN(tabindex)) {
+    return true;
+  }
+
   // Anchor tags with no hrefs arent focusable.
   // This is focusable: <a href="/">Stuff</a>
   // This is not focusable: <a href="">Stuff</a>
   // This is not focusable: <a>Stuff</a>
   if (tag === "a" && !el.getAttribute("href")) return false
 
-  // Audio and video elements with the controls attribute are tabbable
+  // Audio and video elements with the controls attribute are focusable
   if ((tag === 'audio' || tag === 'video') && el.hasAttribute('controls')) {
     return true;
   }
 
-  if (hasTabindex && (tabindex >= 0)) {
-    return true;
-  }
-
-  // Elements with a contenteditable attribute are tabbable
+  // Elements with a contenteditable attribute are focusable
   if (el.hasAttribute('contenteditable') && el.getAttribute('contenteditable') !== 'false') {
     return true;
   }
 
-  // At this point, the following elements are considered tabbable
-  const isNativelyTabbable = ['button', 'input', 'select', 'textarea', 'a', 'audio', 'video', 'summary', 'iframe', 'object', 'embed'].includes(tag);
+  // At this point, the following elements are considered focusable
+  const isNativelyFocusable = (
+    ['button', 'input', 'select', 'textarea', 'a', 'audio', 'video', 'summary', 'iframe', 'object', 'embed'].includes(tag)
+    || Boolean(options.tabbableTags?.includes(tag))
+  );
 
-  if (isNativelyTabbable) {
+  if (isNativelyFocusable) {
     return true;
   }
 
@@ -145,96 +124,333 @@ export function isTabbable(el) {
 }
 
 /**
- * @param {Element | ShadowRoot} root
- * @return {Generator<Element>}
+ * Determines if the specified element is tabbable using heuristics inspired by https://github.com/focus-trap/tabbable
+ * @param {Element} el - The element to check if it's tabbable
+ * @param {TabbableRules} [options={}]
+ * @returns {boolean}
  */
-export function* getTabbableElements(root) {
-  /**
-   * We use this Set because we could have potentially duplicated nodes.
-   * @type {Set<Element>}
-   */
-  const tabbableElements = new Set()
+export function isTabbable(el, options = {}) {
+  const tag = el.tagName.toLowerCase();
+
+  const forceTabbable = el.getAttribute(forceTabbableAttribute)
 
-  /**
-   * We use this WeakMap to make sure we're not checking the same element multiple times.
-   * @type {WeakMap<Element, boolean>}
-   */
-  const checkedElements = new WeakMap()
+  if (forceTabbable === "false") {
+    return false;
+  }
+
+  if (forceTabbable != null) {
+    return isFocusable(el, options);
+  }
 
-  // Collect all elements including the root
-  for (const el of [...walk(root, root, tabbableElements, checkedElements)].sort(sortByTabIndex)) {
-    yield el
+  const tabindex = Number(el.getAttribute('tabindex'));
+  const hasTabindex = el.hasAttribute('tabindex');
+
+
+  // elements with a tabindex attribute that is either NaN or <= -1 are not tabbable
+  if (hasTabindex && (isNaN(tabindex) || tabindex <= -1)) {
+    return false;
+  }
+
+  // Hosts with `delegatesFocus` are never tab stops themselves, the elements in their shadow root are.
+  if (delegatesFocus(el)) {
+    return false;
+  }
+
+  // Only 1 radio in a group is tabbable
+  if (tag === 'input' && /** @type {HTMLInputElement} */ (el).type === 'radio' && !isTabbableRadio(/** @type {HTMLInputElement} */ (el), options)) {
+    return false;
   }
+
+  return isFocusable(el, options)
 }
 
+/**
+ * @param {Element} el
+ * @returns {boolean}
+ */
+function delegatesFocus(el) {
+  const shadowRoot = getShadowRoot(el)
 
+  return shadowRoot != null && shadowRoot.delegatesFocus === true
+}
 
-// Is this worth having? Most sorts will always add increased overhead. And positive tabindexes shouldn't really be used.
-// So is it worth being right? Or fast?
 /**
- * @param {Element} a
- * @param {Element} b
+ * Form-associated custom elements can be disabled by their `disabled` attribute, or by a `<fieldset disabled>`.
+ * Nothing inside of a disabled one should be tabbable, it's the custom element equivalent of a disabled `<select>`.
+ * @param {Element} el
+ * @returns {boolean}
  */
-function sortByTabIndex(a, b) {
-  // Make sure we sort by tabindex.
-  const aTabindex = Number(a.getAttribute('tabindex')) || 0;
-  const bTabindex = Number(b.getAttribute('tabindex')) || 0;
-  return bTabindex - aTabindex;
-};
+function isDisabledFormAssociatedCustomElement(el) {
+  if (!el.localName.includes("-")) return false
+
+  const constructor = /** @type {undefined | (CustomElementConstructor & { formAssociated?: boolean })} */ (customElements.get(el.localName))
+
+  if (constructor?.formAssociated !== true) return false
+
+  return el.matches(':disabled')
+}
 
 /**
-  * @param {Element | ShadowRoot} el
-  * @param {Element | ShadowRoot} rootElement
-  * @param {Set<Element>} tabbableElements
-  * @param {WeakMap<Element, boolean>} checkedElements
-  * @return {Generator<Element>}
-  */
-function* walk(el, rootElement, tabbableElements, checkedElements) {
-  if (el instanceof Element) {
-    // if the element has "inert" or any of its parents have "inert", we can just no-op it and all its children.
-    if (el.hasAttribute('inert') || el.closest("[inert]")) {
-      return;
-    }
+ * Radios in the same group are a single tab stop. Like browsers, the checked radio is the tab stop,
+ * and if none are checked, it's the first radio in the group.
+ * @param {HTMLInputElement} radio
+ * @param {TabbableRules} options
+ * @returns {boolean}
+ */
+function isTabbableRadio(radio, options) {
+  const group = getRadioGroup(radio).filter((el) => el === radio || isFocusable(el, options))
 
-    if (checkedElements.get(el) === true) {
-      return
-    }
+  const tabStop = group.find((el) => el.checked) ?? group[0]
 
-    checkedElements.set(el, true)
+  return tabStop === radio
+}
 
-    if (!tabbableElements.has(el) && isTabbable(el)) {
-      tabbableElements.add(el)
-      yield el
-    }
+/**
+ * Radio groups are made of radios with the same `name` and the same form owner. Groups don't cross shadow roots,
+ * so we only look in the radio's own root node.
+ * @param {HTMLInputElement} radio
+ * @returns {HTMLInputElement[]}
+ */
+function getRadioGroup(radio) {
+  // Radios without a name are in a group by themselves.
+  if (!radio.name) return [radio]
+
+  const root = /** @type {Document | ShadowRoot | Element} */ (radio.getRootNode())
+
+  if (typeof root.querySelectorAll !== "function") return [radio]
 
+  const radios = /** @type {NodeListOf<HTMLInputElement>} */ (root.querySelectorAll(`input[type='radio'][name='${CSS.escape(radio.name)}']`))
 
-    // Walk slots
-    if (el instanceof HTMLSlotElement && !rootHasSlotChildren(el, rootElement)) {
-      for (const assignedEl of el.assignedElements({ flatten: true })) {
-        yield* walk(assignedEl, rootElement, tabbableElements, checkedElements);
-      }
+  return Array.from(radios).filter((el) => el.form === radio.form)
+}
+
+/**
+ * Ways to extend which elements are considered tabbable / focusable.
+ * @typedef {object} TabbableRules
+ * @property {string[]} [tabbableTags] - Extra tag names to treat as natively tabbable, like `["my-combobox"]`.
+ * @property {boolean} [iframes=false] - Whether to walk into same-origin `<iframe>`s. Cross-origin iframes are always skipped.
+ */
+
+/**
+ * @typedef {object} TabbableOptionsBase
+ * @property {boolean} [includeRoot=true] - Whether the root itself can be included in the results.
+ * @property {(el: Element) => boolean} [filter] - Called with every element that would be yielded. Return `false` to leave it out.
+ * @property {Set<ShadowRoot>} [shadowRoots] - If passed, every shadow root that gets walked is added to this Set.
+ *   Useful for observing the shadow roots for changes.
+ * @property {Set<Document>} [documents] - If passed, every iframe document that gets walked is added to this Set.
+ */
+
+/**
+ * @typedef {TabbableRules & TabbableOptionsBase} TabbableOptions
+ */
+
+/**
+ * Yields tabbable elements in the order the browser would Tab through them. This follows the HTML
+ * "focus navigation scope" algorithm. Shadow roots and slots are their own scopes, inside of each scope positive tabindexes
+ * come first in ascending order, then everything else in tree order. A scope is visited at the position of its
+ * shadow host or slot, and hosts / slots with a negative tabindex skip their whole scope.
+ * @see https://html.spec.whatwg.org/multipage/interaction.html#flattened-tabindex-ordered-focus-navigation-scope
+ * @param {Element | ShadowRoot} root
+ * @param {TabbableOptions} [options={}]
+ * @return {Generator<Element>}
+ */
+export function* getTabbableElements(root, options = {}) {
+  yield* flattenScope(collectRootScope(root, options, (el) => isTabbable(el, options)), true)
+}
+
+/**
+ * Like `getTabbableElements()`, but yields every focusable element in tree order. This includes elements with
+ * `tabindex="-1"`, which are useful as fallback focus targets.
+ * @param {Element | ShadowRoot} root
+ * @param {TabbableOptions} [options={}]
+ * @return {Generator<Element>}
+ */
+export function* getFocusableElements(root, options = {}) {
+  yield* flattenScope(collectRootScope(root, options, (el) => isFocusable(el, options)), false)
+}
+
+/**
+ * An element in a focus navigation scope. Only elements that matched, or own a scope, are kept.
+ * @typedef {object} ScopeEntry
+ * @property {Element} el
+ * @property {boolean} matches - Whether the element passed the predicate and should be yielded.
+ * @property {number} tabindex
+ * @property {null | ScopeEntry[]} scope - The entries of the scope this element owns, if it's a shadow host or a slot.
+ */
+
+/**
+ * @typedef {object} WalkContext
+ * @property {Element | ShadowRoot} rootElement
+ * @property {TabbableOptions} options
+ * @property {(el: Element) => boolean} predicate - Whether an element should be yielded
+ * @property {WeakMap<Element, boolean>} checkedElements - Makes sure we're not checking the same element multiple times.
+ */
+
+/**
+ * @param {Element | ShadowRoot} root
+ * @param {TabbableOptions} options
+ * @param {(el: Element) => boolean} predicate
+ * @returns {ScopeEntry[]}
+ */
+function collectRootScope(root, options, predicate) {
+  /** @type {WalkContext} */
+  const context = { rootElement: root, options, predicate, checkedElements: new WeakMap() }
+
+  /** @type {ScopeEntry[]} */
+  const entries = []
+
+  if (root instanceof ShadowRoot) {
+    collectChildren(root, entries, context)
+  } else {
+    collectElement(root, entries, context)
+  }
+
+  return entries
+}
+
+/**
+ * @param {Element | ShadowRoot} parent
+ * @param {ScopeEntry[]} entries
+ * @param {WalkContext} context
+ */
+function collectChildren(parent, entries, context) {
+  for (const child of Array.from(parent.children)) {
+    collectElement(child, entries, context)
+  }
+}
+
+/**
+ * Adds the element to the current scope's entries, then keeps walking its children in the same scope.
+ * Shadow hosts and slots start a new scope instead.
+ * @param {Element} el
+ * @param {ScopeEntry[]} entries
+ * @param {WalkContext} context
+ */
+function collectElement(el, entries, context) {
+  // if the element has "inert" or any of its parents have "inert", we can just no-op it and all its children.
+  if (el.hasAttribute('inert') || el.closest("[inert]")) {
+    return;
+  }
+
+  if (context.checkedElements.get(el) === true) {
+    return
+  }
+
+  context.checkedElements.set(el, true)
+
+  const isRoot = el === context.rootElement
+  const scope = collectScope(el, context)
+
+  // Tabbing into a walked iframe goes straight to the elements inside of it, the iframe itself isn't a tab stop.
+  const isWalkedFrame = scope !== null && el.localName === "iframe"
+
+  const matches = (
+    !isWalkedFrame
+    && !(isRoot && context.options.includeRoot === false)
+    && context.predicate(el)
+    && context.options.filter?.(el) !== false
+  )
+
+  if (matches || scope) {
+    // The root is where we start, so its own negative tabindex shouldn't skip everything inside of it.
+    const tabindex = isRoot ? Math.max(getTabindex(el), 0) : getTabindex(el)
+
+    entries.push({ el, matches, tabindex, scope })
+  }
+
+  if (scope || isDisabledFormAssociatedCustomElement(el)) {
+    return
+  }
+
+  collectChildren(el, entries, context)
+}
+
+/**
+ * If the element owns a focus navigation scope, returns the entries in it.
+ * @param {Element} el
+ * @param {WalkContext} context
+ * @returns {null | ScopeEntry[]}
+ */
+function collectScope(el, context) {
+  if (isDisabledFormAssociatedCustomElement(el)) {
+    return null
+  }
+
+  /** @type {ScopeEntry[]} */
+  const scope = []
+
+  // Walk slots. Slots without assigned elements show their children as fallback content.
+  // Checks the tag name instead of `instanceof`, slots inside of iframes come from a different window.
+  if (el.localName === "slot") {
+    const assignedElements = /** @type {HTMLSlotElement} */ (el).assignedElements()
+
+    if (assignedElements.length === 0) {
+      collectChildren(el, scope, context)
     }
 
-    // Walk  shadow roots
-    if (el.shadowRoot !== null && el.shadowRoot.mode === 'open') {
-      yield* walk(el.shadowRoot, rootElement, tabbableElements, checkedElements);
+    for (const assignedEl of assignedElements) {
+      collectElement(assignedEl, scope, context)
     }
+
+    return scope
   }
 
-  for (const e of Array.from(el.children)) {
-    yield* walk(e, rootElement, tabbableElements, checkedElements)
+  // Walk shadow roots. The host's children are reached through the shadow root's slots.
+  // Closed shadow roots are only walked if they've been registered with `registerShadowRoot()`
+  const shadowRoot = getShadowRoot(el)
+
+  if (shadowRoot !== null) {
+    context.options.shadowRoots?.add(shadowRoot)
+    collectChildren(shadowRoot, scope, context)
+    return scope
   }
-}
 
+  // Same-origin iframes are their own scope. Like a hidden host, a hidden iframe has nothing tabbable inside of it.
+  const frameDocument = context.options.iframes ? getFrameDocument(el) : null
+
+  if (frameDocument?.body && isVisible(/** @type {HTMLElement} */ (el))) {
+    context.options.documents?.add(frameDocument)
+    collectChildren(frameDocument.body, scope, context)
+    return scope
+  }
+
+  return null
+}
 
 /**
-  * This looks funky. Basically a slots children will always be picked up *if* they're within the `root` element.
-  * However, there is an edge case if the `root` is wrapped by another shadowDOM, it won't grab the children.
-  * This fixes that fun edge case.
-  * @param {HTMLSlotElement} slotElement
-  * @param {Node} rootElement
-  */
-function rootHasSlotChildren (slotElement, rootElement) {
-  return (/** @type {ShadowRoot | null} */ (slotElement.getRootNode({ composed: true })))?.host === rootElement;
+ * @param {ScopeEntry[]} entries
+ * @param {boolean} sortByTabIndex - Whether to use tab order, or tree order.
+ * @return {Generator<Element>}
+ */
+function* flattenScope(entries, sortByTabIndex) {
+  let orderedEntries = entries
+
+  if (sortByTabIndex) {
+    // `sort()` is stable, so entries with the same tabindex stay in tree order.
+    const positive = entries.filter((entry) => entry.tabindex > 0).sort((a, b) => a.tabindex - b.tabindex)
+    const zero = entries.filter((entry) => entry.tabindex === 0)
+
+    orderedEntries = [...positive, ...zero]
+  }
+
+  for (const entry of orderedEntries) {
+    if (entry.matches) {
+      yield entry.el
+    }
+
+    if (entry.scope) {
+      yield* flattenScope(entry.scope, sortByTabIndex)
+    }
+  }
 }
 
+/**
+ * Missing and invalid tabindexes are treated as 0.
+ * @param {Element} el
+ * @returns {number}
+ */
+function getTabindex(el) {
+  const tabindex = parseInt(el.getAttribute('tabindex') ?? '', 10)
+
+  return isNaN(tabindex) ? 0 : tabindex
+}
@@ -0,0 +1,101 @@
+// @ts-check
+import { Trap } from './focus-hunter.js';
+
+/**
+ * @typedef {import("./focus-hunter.js").TrapOptions} TrapOptions
+ */
+
+/**
+ * @typedef {object} TopLayerTrap
+ * @property {Trap} trap - The trap that's started while the element is open.
+ * @property {() => void} disconnect - Stops following the element, and stops the trap if it's started.
+ */
+
+/**
+ * Ties a trap to a `<dialog>` or `[popover]` element. The trap starts when the element opens, and stops when it closes.
+ * Traps are started in the order elements open, so the trap stack matches the browser's top layer.
+ * @example
+ *   const { disconnect } = trapTopLayer(dialog)
+ *   dialog.showModal() // The trap starts
+ *   dialog.close() // The trap stops
+ * @param {HTMLElement} element
+ * @param {Partial<TrapOptions>} [options={}] - `rootElement` defaults to the element.
+ * @returns {TopLayerTrap}
+ */
+export function trapTopLayer (element, options = {}) {
+  const trap = new Trap({
+    // Browsers focus the first focusable element in tree order when a dialog opens, which doesn't follow slots.
+    // The trap's default `initialFocus` moves it to the first element in the trap's tab order instead.
+    preventScroll: false,
+    ...options,
+    rootElement: options.rootElement ?? element,
+    onPostDeactivate: (detail) => {
+      // The trap can stop itself, like from `escapeDeactivates`. The element shouldn't stay open without its trap.
+      if (isOpen(element)) close(element)
+
+      options.onPostDeactivate?.(detail)
+    }
+  })
+
+  // Checks if the element is open instead of trusting the event, a `cancel` event that's canceled leaves the dialog open.
+  const sync = () => {
+    if (isOpen(element)) {
+      trap.start()
+    } else {
+      // The element is already closed, so `focus-trap-end` can't keep the trap running.
+      trap.stop("close")
+    }
+  }
+
+  // Dialogs don't have an "open" event, but `show()` and `showModal()` add the `open` attribute.
+  const observer = new MutationObserver(sync)
+  observer.observe(element, { attributes: true, attributeFilter: ["open"] })
+
+  const events = ["close", "cancel", "toggle"]
+
+  for (const event of events) {
+    element.addEventListener(event, sync)
+  }
+
+  sync()
+
+  return {
+    trap,
+    disconnect () {
+      observer.disconnect()
+
+      for (const event of events) {
+        element.removeEventListener(event, sync)
+      }
+
+      trap.stop()
+    }
+  }
+}
+
+/**
+ * Browsers without the Popover API throw on `:popover-open`, and treat `[popover]` as a plain attribute.
+ */
+const supportsPopover = "popover" in HTMLElement.prototype
+
+/**
+ * Dialogs can also be popovers, in which case they're shown without the `open` attribute.
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isOpen (element) {
+  if (supportsPopover && element.hasAttribute("popover")) return element.matches(":popover-open")
+
+  return element instanceof HTMLDialogElement && element.open
+}
+
+/**
+ * @param {HTMLElement} element
+ */
+function close (element) {
+  if (supportsPopover && element.hasAttribute("popover")) {
+    element.hidePopover()
+  } else if (element instanceof HTMLDialogElement) {
+    element.close()
+  }
+}
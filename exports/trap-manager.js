@@ -0,0 +1,82 @@
+// @ts-check
+import { TrapStack } from './trap-stack.js';
+
+/**
+ * A registry of traps. Each manager has its own stack of traps, so independently mounted apps (or separate copies
+ * of focus-hunter) can keep their traps from interfering with each other.
+ *
+ * Traps use the global manager on `window.focusHunter` unless they're given one.
+ * @example
+ *   const manager = new TrapManager()
+ *   const trap = new Trap({ rootElement, manager })
+ *
+ *   // Stop every trap that was started with this manager.
+ *   manager.dispose()
+ */
+export class TrapManager {
+  constructor () {
+    /**
+     * The stack of started traps.
+     * @type {TrapStack}
+     */
+    this.trapStack = new TrapStack()
+
+    /**
+     * The root elements of started traps.
+     * @type {Set<Element>}
+     */
+    this.rootElementStack = new Set()
+  }
+
+  /**
+   * Stops every trap in this manager. Traps are stopped from the top of the stack down, like closing nested dialogs one
+   * at a time, so the last focus returned is to the outermost trap's opener.
+   */
+  dispose () {
+    for (const trap of [...this.trapStack.values()].reverse()) {
+      trap.stop("dispose")
+    }
+
+    this.trapStack.clear()
+    this.rootElementStack.clear()
+  }
+}
+
+/**
+ * The global manager on `window.focusHunter`. It is created the first time it is needed.
+ *
+ * Older copies of focus-hunter on the same page leave a plain `{ trapStack: Set, rootElementStack: Set }` there.
+ * That gets replaced with a `TrapManager` that shares its `rootElementStack`, so both copies still refuse to trap the same element.
+ * Traps the older copy already started keep using their own `Set`.
+ * @returns {TrapManager}
+ */
+export function defaultTrapManager () {
+  /** @type {unknown} */
+  const existing = window.focusHunter
+
+  if (isTrapManager(existing)) return existing
+
+  const manager = new TrapManager()
+  const legacyRootElementStack = /** @type {undefined | null | { rootElementStack?: unknown }} */ (existing)?.rootElementStack
+
+  if (legacyRootElementStack instanceof Set) {
+    manager.rootElementStack = legacyRootElementStack
+  }
+
+  window.focusHunter = manager
+
+  return manager
+}
+
+/**
+ * Managers from another copy of focus-hunter aren't an `instanceof` this `TrapManager`, but work the same.
+ * @param {unknown} value
+ * @returns {value is TrapManager}
+ */
+function isTrapManager (value) {
+  if (value instanceof TrapManager) return true
+
+  const manager = /** @type {null | undefined | { dispose?: unknown, trapStack?: { top?: unknown } }} */ (value)
+
+  return typeof manager?.dispose === "function" && typeof manager.trapStack?.top === "function"
+}
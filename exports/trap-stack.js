@@ -0,0 +1,113 @@
+// @ts-check
+
+/**
+ * @typedef {import("./focus-hunter.js").Trap} Trap
+ */
+
+/**
+ * Keeps track of started traps. The last trap added is the "active" trap, and every trap underneath it is paused
+ * until the traps above it are removed.
+ *
+ * It has the same `add()`, `delete()`, `has()`, `values()` and `size` as a `Set` so it can be used like the `Set` it replaced.
+ */
+export class TrapStack {
+  constructor () {
+    /**
+     * Started traps, from the bottom of the stack to the top.
+     * @type {Trap[]}
+     */
+    this.traps = []
+  }
+
+  /**
+   * @returns {number}
+   */
+  get size () {
+    return this.traps.length
+  }
+
+  /**
+   * The trap at the top of the stack.
+   * @returns {Trap | undefined}
+   */
+  top () {
+    return this.traps[this.traps.length - 1]
+  }
+
+  /**
+   * @param {Trap} trap
+   * @returns {boolean}
+   */
+  has (trap) {
+    return this.traps.includes(trap)
+  }
+
+  /**
+   * Puts the trap on top of the stack and pauses the trap that was underneath it.
+   * @param {Trap} trap
+   * @returns {this}
+   */
+  add (trap) {
+    if (this.top() === trap) return this
+
+    this.remove(trap)
+
+    const previousTop = this.top()
+
+    this.traps.push(trap)
+
+    // Traps from older copies of focus-hunter can end up in the stack, and they can't be paused.
+    previousTop?.pause?.("trap-stack")
+
+    return this
+  }
+
+  /**
+   * Removes the trap from the stack. If it was the top of the stack, the trap underneath it is unpaused.
+   * @param {Trap} trap
+   * @returns {boolean} `true` if the trap was in the stack.
+   */
+  delete (trap) {
+    const wasTop = this.top() === trap
+
+    if (!this.remove(trap)) return false
+
+    if (wasTop) {
+      this.top()?.unpause?.("trap-stack")
+    }
+
+    return true
+  }
+
+  /**
+   * Removes every trap from the stack without pausing or unpausing anything.
+   */
+  clear () {
+    this.traps = []
+  }
+
+  /**
+   * Iterates over a copy of the stack, so it is safe to stop traps while iterating.
+   * @returns {IterableIterator<Trap>}
+   */
+  values () {
+    return [...this.traps].values()
+  }
+
+  [Symbol.iterator] () {
+    return this.values()
+  }
+
+  /**
+   * @param {Trap} trap
+   * @returns {boolean}
+   */
+  remove (trap) {
+    const index = this.traps.indexOf(trap)
+
+    if (index === -1) return false
+
+    this.traps.splice(index, 1)
+    return true
+  }
+}
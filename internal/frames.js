@@ -0,0 +1,17 @@
+// @ts-check
+
+/**
+ * Returns the document inside of an `<iframe>` if it's same-origin. Cross-origin frames (and anything that isn't an iframe)
+ * return `null`, we can't look inside of those.
+ * @param {Element} el
+ * @returns {Document | null}
+ */
+export function getFrameDocument (el) {
+  if (el.localName !== "iframe") return null
+
+  try {
+    return /** @type {HTMLIFrameElement} */ (el).contentDocument
+  } catch (_error) {
+    return null
+  }
+}
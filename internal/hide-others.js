@@ -0,0 +1,156 @@
+// @ts-check
+import { getShadowRoot } from '../exports/shadow-roots.js';
+
+/**
+ * @typedef {object} HiddenState
+ * @property {number} count - How many traps are currently hiding the element.
+ * @property {boolean} inert - Whether the element had `inert` before it was hidden.
+ * @property {string | null} ariaHidden - The `aria-hidden` attribute before the element was hidden.
+ */
+
+/**
+ * Elements can be hidden by more than 1 trap at a time (for example, traps from different managers), so we count how many
+ * traps are hiding an element and only restore its original attributes when the last one is done with it.
+ * @type {WeakMap<Element, HiddenState>}
+ */
+const hiddenStates = new WeakMap()
+
+// Elements that aren't rendered, and live regions that need to keep announcing.
+const ignoredSelector = "head, script, style, link, meta, template, [aria-live]"
+
+const supportsInert = typeof HTMLElement !== "undefined" && "inert" in HTMLElement.prototype
+
+/**
+ * The parent of a node in the flattened tree. Slotted elements go to their slot, and shadow roots go to their host.
+ * @param {Node} node
+ * @returns {Node | null}
+ */
+function flatParent (node) {
+  if (node instanceof Element && node.assignedSlot) return node.assignedSlot
+
+  const parent = node.parentNode
+
+  if (parent instanceof ShadowRoot) return parent.host
+
+  return parent
+}
+
+/**
+ * The children of an element in the flattened tree. This is the inverse of `flatParent()`.
+ * @param {Node} node
+ * @returns {Element[]}
+ */
+function flatChildren (node) {
+  if (node instanceof HTMLSlotElement) {
+    const assignedElements = node.assignedElements()
+
+    if (assignedElements.length > 0) return assignedElements
+  }
+
+  const shadowRoot = node instanceof Element ? getShadowRoot(node) : null
+
+  if (shadowRoot) {
+    return Array.from(shadowRoot.children)
+  }
+
+  if (node instanceof Element || node instanceof Document) {
+    return Array.from(node.children)
+  }
+
+  return []
+}
+
+/**
+ * Hides every element outside of the `rootElements` from assistive technology by setting `inert` on them, falling back to
+ * `aria-hidden="true"` in browsers without `inert`. It walks up from each root element, through slots and shadow hosts,
+ * hiding siblings along the way.
+ * @param {Element[]} rootElements
+ * @returns {Element[]} The elements that were hidden. Pass these to `restoreOthers()` to undo it.
+ */
+export function hideOthers (rootElements) {
+  /**
+   * Every root element and its ancestors. These need to stay visible.
+   * @type {Set<Node>}
+   */
+  const keep = new Set()
+
+  for (const rootElement of rootElements) {
+    /** @type {Node | null} */
+    let node = rootElement
+
+    while (node && !keep.has(node)) {
+      keep.add(node)
+      node = flatParent(node)
+    }
+  }
+
+  /** @type {Element[]} */
+  const hiddenElements = []
+
+  for (const node of keep) {
+    // The root element's children are inside the trap.
+    if (rootElements.includes(/** @type {Element} */ (node))) continue
+
+    for (const child of flatChildren(node)) {
+      if (keep.has(child) || child.matches(ignoredSelector)) continue
+
+      hide(child)
+      hiddenElements.push(child)
+    }
+  }
+
+  return hiddenElements
+}
+
+/**
+ * Restores elements hidden by `hideOthers()` once no other trap is hiding them.
+ * @param {Element[]} hiddenElements
+ */
+export function restoreOthers (hiddenElements) {
+  for (const el of hiddenElements) {
+    const state = hiddenStates.get(el)
+
+    if (!state) continue
+
+    state.count--
+
+    if (state.count > 0) continue
+
+    hiddenStates.delete(el)
+
+    if (supportsInert) {
+      /** @type {HTMLElement} */ (el).inert = state.inert
+    }
+
+    if (state.ariaHidden == null) {
+      el.removeAttribute("aria-hidden")
+    } else {
+      el.setAttribute("aria-hidden", state.ariaHidden)
+    }
+  }
+}
+
+/**
+ * @param {Element} el
+ */
+function hide (el) {
+  let state = hiddenStates.get(el)
+
+  if (!state) {
+    state = {
+      count: 0,
+      inert: el.hasAttribute("inert"),
+      ariaHidden: el.getAttribute("aria-hidden")
+    }
+
+    hiddenStates.set(el, state)
+  }
+
+  state.count++
+
+  if (supportsInert) {
+    /** @type {HTMLElement} */ (el).inert = true
+  } else {
+    el.setAttribute("aria-hidden", "true")
+  }
+}
@@ -0,0 +1,91 @@
+// @ts-check
+
+/**
+ * How many traps currently have the scroll locked. Only the first lock changes styles, and only the last unlock restores them,
+ * so nested traps don't unlock the page too early.
+ */
+let lockCount = 0
+
+/**
+ * @typedef {object} InlineStyle
+ * @property {string} value
+ * @property {string} priority
+ */
+
+/**
+ * The inline styles on `<html>` from before the scroll was locked.
+ * @type {null | { hadStyleAttribute: boolean, styles: Record<string, InlineStyle> }}
+ */
+let previousState = null
+
+// The longhands, so a page that only sets `overflow-y` gets back exactly that, not an `overflow` that covers both axes.
+const lockedProperties = ["overflow-x", "overflow-y", "padding-right"]
+
+/**
+ * Locks scrolling on `document.documentElement`. Adds padding to make up for the scrollbar disappearing, so content doesn't shift.
+ */
+export function lockScroll () {
+  lockCount++
+
+  if (lockCount > 1) return
+
+  const html = document.documentElement
+
+  // Has to be measured before `overflow: hidden` removes the scrollbar.
+  const scrollbarWidth = window.innerWidth - html.clientWidth
+
+  /** @type {Record<string, InlineStyle>} */
+  const styles = {}
+
+  for (const property of lockedProperties) {
+    styles[property] = {
+      value: html.style.getPropertyValue(property),
+      priority: html.style.getPropertyPriority(property)
+    }
+  }
+
+  previousState = {
+    hadStyleAttribute: html.hasAttribute("style"),
+    styles
+  }
+
+  const computedStyle = window.getComputedStyle(html)
+
+  // `scrollbar-gutter: stable` keeps the scrollbar's space when the scrollbar goes away, padding would double it.
+  const hasStableGutter = computedStyle.getPropertyValue("scrollbar-gutter").startsWith("stable")
+
+  if (scrollbarWidth > 0 && !hasStableGutter) {
+    const paddingRight = parseFloat(computedStyle.paddingRight) || 0
+    html.style.setProperty("padding-right", `${paddingRight + scrollbarWidth}px`, "important")
+  }
+
+  html.style.setProperty("overflow-x", "hidden", "important")
+  html.style.setProperty("overflow-y", "hidden", "important")
+}
+
+/**
+ * Undoes `lockScroll()`. Inline styles are restored to exactly what they were once every lock has been undone.
+ */
+export function unlockScroll () {
+  if (lockCount === 0) return
+
+  lockCount--
+
+  if (lockCount > 0 || previousState == null) return
+
+  const html = document.documentElement
+
+  for (const [property, { value, priority }] of Object.entries(previousState.styles)) {
+    if (value) {
+      html.style.setProperty(property, value, priority)
+    } else {
+      html.style.removeProperty(property)
+    }
+  }
+
+  if (!previousState.hadStyleAttribute && html.getAttribute("style") === "") {
+    html.removeAttribute("style")
+  }
+
+  previousState = null
+}
@@ -0,0 +1,60 @@
+// @ts-check
+
+/**
+ * Returns the composed ancestors of a node, starting from the top of the tree. Shadow roots are followed up to their host.
+ * @param {Node} node
+ * @returns {Node[]}
+ */
+function composedAncestors (node) {
+  /** @type {Node[]} */
+  const ancestors = []
+
+  /** @type {Node | null} */
+  let current = node
+
+  while (current) {
+    ancestors.unshift(current)
+
+    if (current instanceof ShadowRoot) {
+      current = current.host
+    } else {
+      current = current.parentNode
+    }
+  }
+
+  return ancestors
+}
+
+/**
+ * Compares 2 nodes in "shadow-including tree order". This is like `compareDocumentPosition()`, but works
+ * for nodes in different shadow trees. A host's shadow root comes before the host's children.
+ * @see https://dom.spec.whatwg.org/#concept-shadow-including-tree-order
+ * @param {Node} a
+ * @param {Node} b
+ * @returns {number} A negative number if `a` comes first, a positive number if `b` comes first, and 0 if they are the same node.
+ */
+export function compareComposedTreeOrder (a, b) {
+  if (a === b) return 0
+
+  const aAncestors = composedAncestors(a)
+  const bAncestors = composedAncestors(b)
+
+  let index = 0
+
+  while (index < aAncestors.length && index < bAncestors.length && aAncestors[index] === bAncestors[index]) {
+    index++
+  }
+
+  // One node is an ancestor of the other.
+  if (index >= aAncestors.length) return -1
+  if (index >= bAncestors.length) return 1
+
+  const aBranch = aAncestors[index]
+  const bBranch = bAncestors[index]
+
+  // The branches are either siblings, or one of them is a shadow root of their shared host.
+  if (aBranch instanceof ShadowRoot) return -1
+  if (bBranch instanceof ShadowRoot) return 1
+
+  return aBranch.compareDocumentPosition(bBranch) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+}
@@ -0,0 +1,39 @@
+// @ts-check
+
+// Cached compute style calls. This is specifically for browsers that dont support `checkVisibility()`.
+// computedStyle calls are "live" so they only need to be retrieved once for an element.
+
+const computedStyleMap = /** @type {WeakMap<Element, CSSStyleDeclaration>} */ (new WeakMap())
+
+/**
+ * @param {Element} el
+ * @returns {CSSStyleDeclaration}
+ */
+export function getCachedComputedStyle(el) {
+  /**
+   * @type {undefined | CSSStyleDeclaration}
+   */
+  let computedStyle = computedStyleMap.get(el);
+
+  if (!computedStyle) {
+    computedStyle = window.getComputedStyle(el, null);
+    computedStyleMap.set(el, computedStyle);
+  }
+
+  return /** @type {CSSStyleDeclaration} */ (computedStyle);
+}
+
+/**
+ * @param {Element} el
+ */
+export function isVisible(el) {
+  // This is the fastest check, but isn't supported in Safari.
+  if (typeof el.checkVisibility === 'function') {
+    return el.checkVisibility({ checkOpacity: false, checkVisibilityCSS: true });
+  }
+
+  // Fallback "polyfill" for "checkVisibility"
+  const computedStyle = getCachedComputedStyle(el);
+
+  return computedStyle.visibility !== 'hidden' && computedStyle.display !== 'none';
+}
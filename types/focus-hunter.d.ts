@@ -1,12 +1,9 @@
-import type { Trap } from "../exports/focus-hunter.js"
+import type { TrapManager } from "../exports/trap-manager.js"
 
 export {}
 
 declare global {
   interface Window {
-    focusHunter: {
-      trapStack: Set<Trap>
-      rootElementStack: Set<Element>
-    }
+    focusHunter: TrapManager
   }
 }